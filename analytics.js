@@ -0,0 +1,297 @@
+/**
+ * Analytics - Event pipeline with pluggable sinks
+ * - track() stamps each event (time, session, experiment variants) and hands it to every sink
+ * - Sinks that send data off the device (gtag, beacon) are non-essential: they only
+ *   receive events after the player accepted the consent banner. Until then - and
+ *   while offline or when a send fails - events wait in a per-sink queue kept in
+ *   localStorage, so an offline kiosk still reports later. Declining drops the queue
+ * - The console sink never leaves the device and always runs
+ *
+ * A sink is any object with:
+ *   name       - Queue key
+ *   essential  - true = no consent needed
+ *   network    - true = only send while online
+ *   send(events)          - May return a promise; throw / reject to keep the batch queued
+ *   sendOnUnload(events)  - Optional, page is closing (navigator.sendBeacon); true = sent
+ * Queues go out in batches of MAX_BATCH events / MAX_BATCH_BYTES: keepalive fetch and
+ * sendBeacon reject bodies over 64 KB, so a full queue sent whole would never drain.
+ */
+
+const CONSENT = {
+    UNKNOWN: 'unknown',
+    GRANTED: 'granted',
+    DENIED: 'denied'
+};
+
+class ConsoleSink {
+    constructor() {
+        this.name = 'console';
+        this.essential = true;
+        this.network = false;
+    }
+
+    send(events) {
+        for (const event of events) {
+            console.log(`📊 Event: ${event.name}`, event.params);
+        }
+    }
+}
+
+class GtagSink {
+    constructor(measurementId) {
+        this.name = 'gtag';
+        this.essential = false;
+        this.network = true;
+        this.measurementId = measurementId;
+        this.loaded = false;
+    }
+
+    // gtag.js is only fetched once there is consent (it sets cookies on load)
+    load() {
+        if (this.loaded) return;
+        this.loaded = true;
+
+        window.dataLayer = window.dataLayer || [];
+        window.gtag = function gtag() { window.dataLayer.push(arguments); };
+        window.gtag('js', new Date());
+        window.gtag('config', this.measurementId);
+
+        const script = document.createElement('script');
+        script.async = true;
+        script.src = `https://www.googletagmanager.com/gtag/js?id=${this.measurementId}`;
+        // Events already pushed to dataLayer are picked up by the next successful load
+        script.onerror = () => {
+            script.remove();
+            this.loaded = false;
+        };
+        document.head.appendChild(script);
+    }
+
+    send(events) {
+        this.load();
+        for (const event of events) {
+            window.gtag('event', event.name, event.params);
+        }
+    }
+}
+
+class BeaconSink {
+    /** @param {string} url - Endpoint receiving POST {events: [...]} (scripts/analytics-stub.js) */
+    constructor(url) {
+        this.name = 'beacon';
+        this.essential = false;
+        this.network = true;
+        this.url = url;
+    }
+
+    async send(events) {
+        // text/plain = no CORS preflight (same as sendBeacon)
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain' },
+            body: JSON.stringify({ events }),
+            keepalive: true
+        });
+        if (!response.ok) {
+            throw new Error(`Beacon endpoint returned HTTP ${response.status}`);
+        }
+    }
+
+    sendOnUnload(events) {
+        return !!navigator.sendBeacon && navigator.sendBeacon(this.url, JSON.stringify({ events }));
+    }
+}
+
+class Analytics {
+    /**
+     * @param {object} options
+     * @param {object[]} options.sinks
+     * @param {object} [options.context] - Params added to every event (experiment variants)
+     */
+    constructor({ sinks = [], context = {} } = {}) {
+        this.MAX_QUEUE = 500; // Per sink; oldest events are dropped beyond this
+        this.MAX_BATCH = 50;
+        this.MAX_BATCH_BYTES = 60000; // JSON size, under the 64 KB keepalive / beacon limit
+
+        this.sinks = sinks;
+        this.context = context;
+        this.sessionId = Math.random().toString(36).slice(2, 10);
+        this.consent = Analytics.loadConsent();
+        this.flushing = false;
+        this.flushAgain = false;
+
+        // Queued events survive reloads; sinks that are no longer configured are dropped
+        const stored = this.consent === CONSENT.DENIED ? {} : Analytics.loadQueue();
+        this.queue = {};
+        for (const sink of this.deferredSinks) {
+            this.queue[sink.name] = Array.isArray(stored[sink.name]) ? stored[sink.name] : [];
+        }
+
+        window.addEventListener('online', () => this.flush());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flushOnUnload();
+        });
+
+        this.flush();
+    }
+
+    /** Sinks that need consent (and are queued). */
+    get deferredSinks() {
+        return this.sinks.filter(sink => !sink.essential);
+    }
+
+    get pendingCount() {
+        return Object.values(this.queue).reduce((sum, events) => sum + events.length, 0);
+    }
+
+    track(name, params = {}) {
+        const event = {
+            name: name,
+            params: { ...this.context, ...params },
+            time: new Date().toISOString(),
+            session: this.sessionId
+        };
+
+        for (const sink of this.sinks) {
+            if (sink.essential) {
+                this.deliver(sink, [event]);
+            } else if (this.consent !== CONSENT.DENIED) {
+                const queue = this.queue[sink.name];
+                queue.push(event);
+                if (queue.length > this.MAX_QUEUE) queue.splice(0, queue.length - this.MAX_QUEUE);
+            }
+        }
+
+        this.saveQueue();
+        this.flush();
+        return event;
+    }
+
+    deliver(sink, events) {
+        try {
+            sink.send(events);
+        } catch (error) {
+            console.warn(`⚠️ Analytics sink ${sink.name} failed:`, error);
+        }
+    }
+
+    /** Send queued events to every non-essential sink that can take them now. */
+    async flush() {
+        if (this.consent !== CONSENT.GRANTED) return;
+        if (this.flushing) {
+            this.flushAgain = true; // Events tracked mid-flush go out right after
+            return;
+        }
+        this.flushing = true;
+
+        for (const sink of this.deferredSinks) {
+            const queue = this.queue[sink.name];
+            if (queue.length === 0) continue;
+            if (sink.network && navigator.onLine === false) continue;
+
+            while (queue.length > 0) {
+                const batch = this.nextBatch(queue);
+                try {
+                    await sink.send(batch);
+                    queue.splice(0, batch.length);
+                } catch (error) {
+                    // Kept for the next flush (next event, back online, next visit)
+                    console.warn(`⚠️ Analytics sink ${sink.name} failed, ${queue.length} events queued:`, error);
+                    break;
+                }
+            }
+        }
+
+        this.saveQueue();
+        this.flushing = false;
+        if (this.flushAgain) {
+            this.flushAgain = false;
+            this.flush();
+        }
+    }
+
+    flushOnUnload() {
+        if (this.consent !== CONSENT.GRANTED || navigator.onLine === false) return;
+
+        for (const sink of this.deferredSinks) {
+            const queue = this.queue[sink.name];
+            if (!sink.sendOnUnload) continue;
+            while (queue.length > 0) {
+                const batch = this.nextBatch(queue);
+                if (!sink.sendOnUnload(batch)) break; // Browser beacon quota used up
+                queue.splice(0, batch.length);
+            }
+        }
+        this.saveQueue();
+    }
+
+    /** Oldest events of a queue, up to MAX_BATCH / MAX_BATCH_BYTES (always at least one). */
+    nextBatch(queue) {
+        const batch = [];
+        let bytes = 0;
+        for (const event of queue) {
+            bytes += JSON.stringify(event).length + 1;
+            if (batch.length > 0 && (batch.length >= this.MAX_BATCH || bytes > this.MAX_BATCH_BYTES)) break;
+            batch.push(event);
+        }
+        return batch;
+    }
+
+    setConsent(consent) {
+        this.consent = consent;
+        try {
+            localStorage.setItem(Analytics.CONSENT_KEY, consent);
+        } catch (error) {
+            // Private mode - the banner shows again next visit
+        }
+        console.log(`🍪 Analytics consent: ${consent}`);
+
+        if (consent === CONSENT.DENIED) {
+            for (const sink of this.deferredSinks) this.queue[sink.name] = [];
+            this.saveQueue();
+        } else {
+            this.flush();
+        }
+    }
+
+    saveQueue() {
+        try {
+            if (this.pendingCount === 0) {
+                localStorage.removeItem(Analytics.QUEUE_KEY);
+            } else {
+                localStorage.setItem(Analytics.QUEUE_KEY, JSON.stringify(this.queue));
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not save analytics queue:', error);
+        }
+    }
+
+    static loadQueue() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(Analytics.QUEUE_KEY));
+            if (stored && typeof stored === 'object') return stored;
+        } catch (error) {
+            console.warn('⚠️ Ignoring invalid analytics queue:', error);
+        }
+        return {};
+    }
+
+    static loadConsent() {
+        try {
+            const consent = localStorage.getItem(Analytics.CONSENT_KEY);
+            return Object.values(CONSENT).includes(consent) ? consent : CONSENT.UNKNOWN;
+        } catch (error) {
+            return CONSENT.UNKNOWN;
+        }
+    }
+}
+
+Analytics.QUEUE_KEY = 'flappyCheek.analyticsQueue';
+Analytics.CONSENT_KEY = 'flappyCheek.consent';
+
+// Export for use in game.js
+window.Analytics = Analytics;
+window.ConsoleSink = ConsoleSink;
+window.GtagSink = GtagSink;
+window.BeaconSink = BeaconSink;
+window.CONSENT = CONSENT;
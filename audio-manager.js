@@ -0,0 +1,213 @@
+/**
+ * Audio Manager - Music and sound effects on the Web Audio API
+ * - Sounds are fetched and decoded into AudioBuffers up front; an effect is then
+ *   one cheap buffer source (no <audio> cloneNode() per flap - that lags on mobile)
+ * - Graph: effects -> sfxGain, music -> musicGain, both -> masterGain (volume / mute)
+ * - duck() lowers the music (game over) without stopping it; playMusic() brings it back
+ * - Volume + mute persist in localStorage; the context is suspended while the tab is
+ *   hidden or the game is paused (suspend(reason) / resume(reason))
+ * - Browsers keep a new AudioContext suspended until a user gesture - unlock() on the first one
+ */
+
+const SOUND_FILES = {
+    jump: 'assets/jump.mp3',
+    hit: 'assets/hit.mp3',
+    score: 'assets/score.mp3',
+    bgm: 'assets/bgm.mp3'
+};
+
+class AudioManager {
+    constructor() {
+        this.MUSIC_VOLUME = 0.5; // Music under the effects (the old <audio> bgm volume)
+        this.DUCK_LEVEL = 0.25;  // Share of MUSIC_VOLUME left while ducked
+        this.FADE_TIME = 0.3;    // Seconds for duck / unduck ramps
+
+        this.buffers = {};
+        this.music = null;        // { name, source } of the looping track
+        this.pendingMusic = null; // Requested before its buffer was decoded
+        this.suspendReasons = new Set(); // 'hidden', 'pause' - playing again once all are gone
+
+        const settings = AudioManager.loadSettings();
+        this.volume = settings.volume;
+        this.muted = settings.muted;
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('⚠️ Web Audio not supported - playing without sound');
+            this.context = null;
+            return;
+        }
+
+        this.context = new AudioContextClass();
+        this.masterGain = this.context.createGain();
+        this.masterGain.connect(this.context.destination);
+        this.musicGain = this.context.createGain();
+        this.musicGain.gain.value = this.MUSIC_VOLUME;
+        this.musicGain.connect(this.masterGain);
+        this.sfxGain = this.context.createGain();
+        this.sfxGain.connect(this.masterGain);
+        this.applyVolume();
+
+        document.addEventListener('visibilitychange', () => this.handleVisibility());
+        const unlock = () => this.unlock();
+        window.addEventListener('pointerdown', unlock);
+        window.addEventListener('keydown', unlock);
+    }
+
+    /**
+     * Fetch + decode sounds. Never rejects: a sound that fails to load just stays silent.
+     * @param {object} sounds - { name: url }
+     */
+    async load(sounds = SOUND_FILES) {
+        if (!this.context) return;
+
+        await Promise.all(Object.entries(sounds).map(async ([name, url]) => {
+            try {
+                const response = await fetch(url);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                this.buffers[name] = await this.context.decodeAudioData(await response.arrayBuffer());
+            } catch (error) {
+                console.warn(`⚠️ Could not load sound ${name} (${url}):`, error);
+                return;
+            }
+            if (this.pendingMusic === name) this.playMusic(name);
+        }));
+        console.log(`🔊 Sounds ready: ${Object.keys(this.buffers).join(', ')}`);
+    }
+
+    unlock() {
+        if (this.context && this.context.state === 'suspended' && this.suspendReasons.size === 0) {
+            this.context.resume().catch(() => { });
+        }
+    }
+
+    /** One-shot effect; overlapping plays are fine. */
+    play(name, { volume = 1 } = {}) {
+        const buffer = this.buffers[name];
+        if (!buffer) return;
+        this.unlock();
+
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        if (volume === 1) {
+            source.connect(this.sfxGain);
+        } else {
+            const gain = this.context.createGain();
+            gain.gain.value = volume;
+            source.connect(gain);
+            gain.connect(this.sfxGain);
+        }
+        source.start();
+    }
+
+    /** Loop a track; if it's already playing it just comes back to full volume. */
+    playMusic(name = 'bgm') {
+        if (!this.context) return;
+        this.fadeMusic(this.MUSIC_VOLUME);
+        if (this.music && this.music.name === name) return;
+
+        this.stopMusic();
+        const buffer = this.buffers[name];
+        if (!buffer) {
+            this.pendingMusic = name; // Starts once load() has decoded it
+            return;
+        }
+        this.unlock();
+
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        source.connect(this.musicGain);
+        source.start();
+        this.music = { name, source };
+    }
+
+    stopMusic() {
+        this.pendingMusic = null;
+        if (!this.music) return;
+        this.music.source.stop();
+        this.music.source.disconnect();
+        this.music = null;
+    }
+
+    /** Lower the music under the game over screens. */
+    duck() {
+        if (!this.context) return;
+        this.fadeMusic(this.MUSIC_VOLUME * this.DUCK_LEVEL);
+    }
+
+    fadeMusic(target) {
+        const gain = this.musicGain.gain;
+        const now = this.context.currentTime;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(target, now + this.FADE_TIME);
+    }
+
+    setVolume(volume) {
+        this.volume = Math.min(Math.max(volume, 0), 1);
+        this.muted = this.volume === 0 ? this.muted : false; // Moving the slider unmutes
+        this.applyVolume();
+        this.saveSettings();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolume();
+        this.saveSettings();
+    }
+
+    applyVolume() {
+        if (!this.context) return;
+        this.masterGain.gain.value = this.muted ? 0 : this.volume;
+    }
+
+    /** Freeze everything that's playing (music position included) until resume(reason). */
+    suspend(reason) {
+        this.suspendReasons.add(reason);
+        if (this.context && this.context.state === 'running') {
+            this.context.suspend();
+        }
+    }
+
+    resume(reason) {
+        if (!this.suspendReasons.delete(reason)) return;
+        this.unlock();
+    }
+
+    // Nothing should play from a background tab
+    handleVisibility() {
+        if (document.hidden) {
+            this.suspend('hidden');
+        } else {
+            this.resume('hidden');
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(AudioManager.STORAGE_KEY, JSON.stringify({ volume: this.volume, muted: this.muted }));
+        } catch (error) {
+            // Private mode - settings last for this visit
+        }
+    }
+
+    static loadSettings() {
+        const defaults = { volume: 1, muted: false };
+        try {
+            const stored = JSON.parse(localStorage.getItem(AudioManager.STORAGE_KEY));
+            if (stored && typeof stored.volume === 'number' && stored.volume >= 0 && stored.volume <= 1) {
+                return { volume: stored.volume, muted: stored.muted === true };
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring invalid audio settings:', error);
+        }
+        return defaults;
+    }
+}
+
+AudioManager.STORAGE_KEY = 'flappyCheek.audio';
+
+// Export for use in game.js
+window.AudioManager = AudioManager;
+window.SOUND_FILES = SOUND_FILES;
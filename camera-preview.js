@@ -0,0 +1,157 @@
+/**
+ * Camera Preview - Selfie view with the tracked face drawn on top
+ * - Modes: 'background' (full screen behind the game), 'pip' (corner picture-in-picture)
+ *   or 'off' (video stays live for detection, just invisible)
+ * - The landmark canvas sits exactly over the video with the same object-fit: cover
+ *   crop and the same CSS mirror, so points are drawn in camera image space and line
+ *   up with the face the player sees. Only user-facing cameras are mirrored (selfie
+ *   view); a rear camera (camera picker) is shown as it sees
+ * - Face mesh as faint dots, mouth corners highlighted (brighter as the gesture score
+ *   rises, green while active) and a ring burst at the mouth on every trigger
+ * - Redraws only when new landmarks arrive or a burst is animating
+ */
+
+// MediaPipe face mesh indices (subject's right / left mouth corner)
+const MOUTH_CORNERS = [61, 291];
+
+class CameraPreview {
+    /**
+     * @param {object} elements
+     * @param {HTMLElement} elements.container - #camera-preview (holds video + canvas)
+     * @param {HTMLVideoElement} elements.video
+     * @param {HTMLCanvasElement} elements.canvas
+     */
+    constructor({ container, video, canvas }) {
+        this.BURST_DURATION = 600; // ms
+
+        this.container = container;
+        this.video = video;
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        this.mode = 'background';
+        this.detector = null;
+        this.landmarks = null; // Latest face, normalized 0-1 in camera image space
+        this.bursts = [];      // Start times
+        this.animationId = null;
+    }
+
+    /** @param {string} mode - 'background' | 'pip' | 'off' */
+    setMode(mode) {
+        this.mode = mode;
+        this.container.classList.toggle('pip', mode === 'pip');
+        this.container.classList.toggle('off', mode === 'off');
+        this.requestDraw();
+    }
+
+    /** Follow a (new) face detector; null for keyboard / pointer / scripted input.
+     *  Replays keep following the live camera, if there is one. */
+    attach(detector) {
+        if (this.detector) {
+            this.detector.onLandmarks = null;
+            this.detector.onSmileChange = null;
+        }
+        this.detector = detector;
+        this.landmarks = null;
+        this.bursts = [];
+
+        if (detector) {
+            detector.onLandmarks = (landmarks) => {
+                this.landmarks = landmarks;
+                this.requestDraw();
+            };
+            detector.onSmileChange = (active) => {
+                if (active) this.burst();
+            };
+        }
+        this.requestDraw();
+    }
+
+    burst() {
+        this.bursts.push(performance.now());
+        this.requestDraw();
+    }
+
+    requestDraw() {
+        if (this.animationId !== null) return;
+        this.animationId = requestAnimationFrame(() => {
+            this.animationId = null;
+            this.draw();
+        });
+    }
+
+    draw() {
+        const ctx = this.ctx;
+        const dpr = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (this.canvas.width !== Math.round(width * dpr) || this.canvas.height !== Math.round(height * dpr)) {
+            this.canvas.width = Math.round(width * dpr);
+            this.canvas.height = Math.round(height * dpr);
+        }
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Facing is only known once the camera stream has started
+        this.container.classList.toggle('mirrored', !this.detector || this.detector.facingMode !== 'environment');
+
+        const now = performance.now();
+        this.bursts = this.bursts.filter(start => now - start < this.BURST_DURATION);
+        if (this.mode === 'off' || !this.landmarks || !this.video.videoWidth) return;
+
+        // Same crop as the video's object-fit: cover; drawing below is in camera pixels
+        const { videoWidth, videoHeight } = this.video;
+        const scale = Math.max(width / videoWidth, height / videoHeight);
+        ctx.setTransform(
+            dpr * scale, 0, 0, dpr * scale,
+            dpr * (width - videoWidth * scale) / 2, dpr * (height - videoHeight * scale) / 2
+        );
+        const px = 1 / scale; // One CSS pixel, for sizes that shouldn't grow with the video
+        const small = this.mode === 'pip';
+        const points = this.landmarks.map(point => [point.x * videoWidth, point.y * videoHeight]);
+
+        // Mesh
+        ctx.fillStyle = 'rgba(0, 212, 255, 0.5)';
+        const dot = (small ? 1 : 1.5) * px;
+        for (const [x, y] of points) {
+            ctx.fillRect(x - dot / 2, y - dot / 2, dot, dot);
+        }
+
+        // Mouth corners: size / color follow the gesture score
+        const detector = this.detector;
+        const level = detector ? Math.min(detector.smileScore / detector.triggerThreshold, 1) : 0;
+        const color = detector && detector.isSmiling ? '#00ff88' : `rgba(255, 170, 0, ${0.5 + level / 2})`;
+        const [left, right] = MOUTH_CORNERS.map(i => points[i]);
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2 * px;
+        ctx.beginPath();
+        ctx.moveTo(...left);
+        ctx.lineTo(...right);
+        ctx.stroke();
+        const radius = ((small ? 3 : 5) + level * (small ? 3 : 5)) * px;
+        for (const [x, y] of [left, right]) {
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Trigger bursts: expanding, fading rings around the mouth
+        const centerX = (left[0] + right[0]) / 2;
+        const centerY = (left[1] + right[1]) / 2;
+        const mouthWidth = Math.hypot(right[0] - left[0], right[1] - left[1]);
+        for (const start of this.bursts) {
+            const progress = (now - start) / this.BURST_DURATION;
+            ctx.strokeStyle = `rgba(0, 255, 136, ${1 - progress})`;
+            ctx.lineWidth = ((small ? 2 : 4) * (1 - progress) + 1) * px;
+            ctx.beginPath();
+            ctx.arc(centerX, centerY, mouthWidth * (0.6 + progress * 1.4), 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        if (this.bursts.length > 0) this.requestDraw();
+    }
+}
+
+// Export for use in game.js
+window.CameraPreview = CameraPreview;
+window.MOUTH_CORNERS = MOUTH_CORNERS;
@@ -0,0 +1,249 @@
+/**
+ * Game Config - Runtime tuning and A/B experiments
+ * Values are merged in order, later wins:
+ *   1. Defaults (GAME_CONSTANTS, Flutter thresholds, 3 rounds)
+ *   2. config.json "config"
+ *   3. The visitor's experiment variants (config.json "experiments")
+ *   4. URL query parameters (?GRAVITY=0.25&maxRounds=5), except the 'analytics' group
+ * Every value is checked against CONFIG_SCHEMA: unknown keys and wrong types are
+ * ignored, numbers are clamped to their bounds (with a console warning).
+ *
+ * config.json:
+ * {
+ *   "config": { "maxRounds": 3 },
+ *   "experiments": [
+ *     { "id": "gap", "variants": [
+ *         { "id": "control", "weight": 50, "config": {} },
+ *         { "id": "wide", "weight": 50, "config": { "GAP_SIZE": 230 } }
+ *     ] }
+ *   ]
+ * }
+ * Variants are picked by weight once per visitor and remembered in localStorage.
+ * ?variant=gap:wide forces a variant (QA).
+ */
+
+// group: 'game' = GameCore constant, 'session' = FlappyGame, 'detector' = FaceDetector,
+// 'analytics' = Analytics sinks (gtagId '' = off, beaconUrl e.g. scripts/analytics-stub.js),
+//               config.json only - a crafted link must not redirect the player's events,
+// 'display' = canvas scaling (fit = letterbox, fill = crop, stretch), field layout and camera preview
+const CONFIG_SCHEMA = {
+    GRAVITY: { group: 'game', type: 'number', min: 0.05, max: 1 },
+    FLAP_STRENGTH: { group: 'game', type: 'number', min: -15, max: -2 },
+    TERMINAL_VELOCITY: { group: 'game', type: 'number', min: 2, max: 20 },
+    OBSTACLE_SPEED: { group: 'game', type: 'number', min: 0.5, max: 10 },
+    GAP_SIZE: { group: 'game', type: 'number', min: 100, max: 320 },
+    SPAWN_DISTANCE: { group: 'game', type: 'number', min: 150, max: 800 },
+    MIN_FLAP_INTERVAL: { group: 'game', type: 'number', min: 0, max: 2000 },
+    HITBOX: { group: 'game', type: 'enum', values: () => Object.keys(HITBOX_SHAPES) },
+    HITBOX_SCALE: { group: 'game', type: 'number', min: 0.5, max: 1.2 },
+    maxRounds: { group: 'session', type: 'integer', min: 1, max: 20, default: 3 },
+    difficulty: { group: 'session', type: 'enum', values: () => Object.keys(DIFFICULTY_PRESETS), default: 'normal' },
+    triggerThreshold: { group: 'detector', type: 'number', min: 0.05, max: 0.95, default: null },
+    resetThreshold: { group: 'detector', type: 'number', min: 0, max: 0.9, default: null },
+    bufferSize: { group: 'detector', type: 'integer', min: 1, max: 15, default: null },
+    scaleMode: { group: 'display', type: 'enum', values: () => ['fit', 'fill', 'stretch'], default: 'fit' },
+    layout: { group: 'display', type: 'enum', values: () => ['auto', ...Object.keys(LAYOUT_PRESETS)], default: 'auto' },
+    preview: { group: 'display', type: 'enum', values: () => ['background', 'pip', 'off'], default: 'background' },
+    gtagId: { group: 'analytics', type: 'string', pattern: /^(G-[A-Z0-9]+)?$/, default: 'G-ZLPN9THPCN' },
+    beaconUrl: { group: 'analytics', type: 'url', default: null }
+};
+
+class GameConfig {
+    constructor() {
+        this.values = {};
+        this.supplied = new Set(); // Keys set by the file, a variant or the URL
+        this.experiments = {}; // { experimentId: variantId }
+        this.warnings = [];
+
+        // Game constants default to GameCore's; null = keep the gesture's own value
+        for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+            this.values[key] = rule.group === 'game' ? GAME_CONSTANTS[key] : rule.default;
+        }
+    }
+
+    /**
+     * Build the config for this visit.
+     * @param {object} [options]
+     * @param {string} [options.url] - Config file (optional - missing file = defaults)
+     * @param {string} [options.search] - Query string
+     */
+    static async load({ url = 'config.json', search = window.location.search } = {}) {
+        const config = new GameConfig();
+        const params = new URLSearchParams(search);
+
+        let file = null;
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (response.ok) file = await response.json();
+        } catch (error) {
+            config.warn(`Config file ${url} could not be read (${error.message})`);
+        }
+
+        if (file) {
+            config.merge(file.config, url);
+            config.assignExperiments(file.experiments, params.get('variant'));
+        }
+
+        // Query parameters (only known keys - ?input=, ?course= etc. belong to the game)
+        const query = {};
+        for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+            if (rule.group === 'analytics') continue;
+            if (params.has(key)) query[key] = params.get(key);
+        }
+        config.merge(query, 'URL');
+        config.checkThresholds();
+
+        console.log('⚙️ Config:', config.values, config.experiments);
+        return config;
+    }
+
+    merge(values, source) {
+        if (!values || typeof values !== 'object') return;
+
+        for (const [key, raw] of Object.entries(values)) {
+            const rule = CONFIG_SCHEMA[key];
+            if (!rule) {
+                this.warn(`${source}: unknown setting "${key}"`);
+                continue;
+            }
+            const value = GameConfig.coerce(rule, raw);
+            if (value === undefined) {
+                this.warn(`${source}: invalid ${key}=${JSON.stringify(raw)}`);
+                continue;
+            }
+            if (value !== GameConfig.coerce(rule, raw, false)) {
+                this.warn(`${source}: ${key}=${raw} clamped to ${value}`);
+            }
+            this.values[key] = value;
+            this.supplied.add(key);
+        }
+    }
+
+    /** Parse (URL values are strings) and clamp; undefined = invalid. */
+    static coerce(rule, raw, clamp = true) {
+        if (rule.type === 'enum') {
+            return rule.values().includes(raw) ? raw : undefined;
+        }
+        if (rule.type === 'string') {
+            return typeof raw === 'string' && rule.pattern.test(raw) ? raw : undefined;
+        }
+        if (rule.type === 'url') {
+            try {
+                const url = new URL(raw, window.location.href);
+                return ['http:', 'https:'].includes(url.protocol) ? url.href : undefined;
+            } catch (error) {
+                return undefined;
+            }
+        }
+
+        const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+        if (typeof value !== 'number' || !Number.isFinite(value)) return undefined;
+        if (rule.type === 'integer' && !Number.isInteger(value)) return undefined;
+        return clamp ? Math.min(Math.max(value, rule.min), rule.max) : value;
+    }
+
+    /** Reset must stay below trigger, or the hysteresis never releases. */
+    checkThresholds() {
+        const { triggerThreshold, resetThreshold } = this.values;
+        if (triggerThreshold !== null && resetThreshold !== null && resetThreshold >= triggerThreshold) {
+            this.warn(`resetThreshold ${resetThreshold} must be below triggerThreshold ${triggerThreshold} - ignoring both`);
+            this.values.triggerThreshold = null;
+            this.values.resetThreshold = null;
+            this.supplied.delete('triggerThreshold');
+            this.supplied.delete('resetThreshold');
+        }
+    }
+
+    assignExperiments(experiments, forced) {
+        if (!Array.isArray(experiments)) return;
+
+        const stored = GameConfig.loadAssignments();
+        const [forcedExperiment, forcedVariant] = (forced || '').split(':');
+
+        for (const experiment of experiments) {
+            const variants = (experiment && Array.isArray(experiment.variants))
+                ? experiment.variants.filter(v => v && typeof v.id === 'string' && v.weight > 0)
+                : [];
+            if (!experiment || typeof experiment.id !== 'string' || variants.length === 0) {
+                this.warn(`Skipping invalid experiment ${JSON.stringify(experiment && experiment.id)}`);
+                continue;
+            }
+
+            let variant = variants.find(v => v.id === stored[experiment.id]);
+            if (experiment.id === forcedExperiment) {
+                variant = variants.find(v => v.id === forcedVariant) || variant;
+            }
+            if (!variant) {
+                variant = GameConfig.pickWeighted(variants);
+                stored[experiment.id] = variant.id;
+            }
+
+            this.experiments[experiment.id] = variant.id;
+            this.merge(variant.config, `experiment ${experiment.id}:${variant.id}`);
+        }
+
+        GameConfig.saveAssignments(stored);
+    }
+
+    static pickWeighted(variants) {
+        const total = variants.reduce((sum, v) => sum + v.weight, 0);
+        let pick = Math.random() * total;
+        for (const variant of variants) {
+            pick -= variant.weight;
+            if (pick < 0) return variant;
+        }
+        return variants[variants.length - 1];
+    }
+
+    /**
+     * GameCore overrides: every game setting that was supplied, even if it equals
+     * the Flutter default (it still has to beat the difficulty preset). A ramped
+     * setting also pins its *_END value, so the preset's ramp can't pull it away
+     * during the round.
+     */
+    get gameConstants() {
+        const constants = {};
+        for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+            if (rule.group !== 'game' || !this.supplied.has(key)) continue;
+            constants[key] = this.values[key];
+            if (`${key}_END` in GAME_CONSTANTS) constants[`${key}_END`] = this.values[key];
+        }
+        return constants;
+    }
+
+    /** Analytics params: one exp_<id> per running experiment. */
+    get experimentParams() {
+        const params = {};
+        for (const [id, variant] of Object.entries(this.experiments)) {
+            params[`exp_${id}`] = variant;
+        }
+        return params;
+    }
+
+    warn(message) {
+        this.warnings.push(message);
+        console.warn(`⚠️ Config: ${message}`);
+    }
+
+    static loadAssignments() {
+        try {
+            return JSON.parse(localStorage.getItem(GameConfig.ASSIGNMENTS_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static saveAssignments(assignments) {
+        try {
+            localStorage.setItem(GameConfig.ASSIGNMENTS_KEY, JSON.stringify(assignments));
+        } catch (error) {
+            // Private mode - variants are re-picked on the next visit
+        }
+    }
+}
+
+GameConfig.ASSIGNMENTS_KEY = 'flappyCheek.experiments';
+
+// Export for use in game.js
+window.GameConfig = GameConfig;
+window.CONFIG_SCHEMA = CONFIG_SCHEMA;
@@ -0,0 +1,193 @@
+/**
+ * Courses - Hand-designed obstacle layouts (tutorials, exercise routines)
+ * A course replaces random spawning with a fixed list of obstacles and ends at
+ * a finish line after the last one. JSON format (version 1):
+ *
+ * {
+ *   "version": 1,
+ *   "name": "Tutorial",
+ *   "description": "Optional text for the intro screen",
+ *   "speed": 2,              // Optional start speed (default OBSTACLE_SPEED)
+ *   "gapSize": 240,          // Optional default gap size (default GAP_SIZE)
+ *   "spacing": 320,          // Optional default spacing (default SPAWN_DISTANCE)
+ *   "finishDistance": 200,   // Optional distance from the last obstacle to the finish line
+ *   "obstacles": [
+ *     { "gapTop": 120 },                                  // Fixed gap position
+ *     { "gapTop": 200, "gapSize": 200, "spacing": 280 },  // Spacing = distance from the previous obstacle
+ *     { "speed": 2.5, "checkpoint": "Halfway!" }          // No gapTop = random (seeded) position
+ *   ]
+ * }
+ *
+ * CourseLoader.parse() validates against the game constants and returns a
+ * normalized course (every field filled in) for GameCore.setCourse().
+ */
+
+const COURSE_VERSION = 1;
+
+// Built-in courses for the intro screen picker
+const COURSE_LIBRARY = {
+    tutorial: { label: 'Tutorial', emoji: '🎓', url: 'courses/tutorial.json' },
+    warmup: { label: 'Warm-up Routine', emoji: '🧘', url: 'courses/warmup.json' }
+};
+
+const COURSE_KEYS = ['version', 'id', 'name', 'description', 'speed', 'gapSize', 'spacing', 'finishDistance', 'obstacles'];
+const COURSE_OBSTACLE_KEYS = ['gapTop', 'gapSize', 'spacing', 'speed', 'checkpoint'];
+
+class CourseLoader {
+    /**
+     * Validate and normalize a course.
+     * @param {string|object} json - Course JSON text or object
+     * @param {object} constants - Game constants the course is checked against
+     * @returns {object} Normalized course
+     * @throws {Error} With an `errors` array listing every problem found
+     */
+    static parse(json, constants) {
+        let course = json;
+        if (typeof json === 'string') {
+            try {
+                course = JSON.parse(json);
+            } catch (error) {
+                throw CourseLoader.invalid([`Not valid JSON (${error.message})`]);
+            }
+        }
+
+        const errors = [];
+        if (!course || typeof course !== 'object' || Array.isArray(course)) {
+            throw CourseLoader.invalid(['Course must be a JSON object']);
+        }
+
+        CourseLoader.checkKeys(course, COURSE_KEYS, 'course', errors);
+        if (course.version !== COURSE_VERSION) {
+            errors.push(`version: must be ${COURSE_VERSION} (got ${JSON.stringify(course.version)})`);
+        }
+        if (typeof course.name !== 'string' || course.name.trim() === '') {
+            errors.push('name: must be a non-empty string');
+        }
+        if (course.description !== undefined && typeof course.description !== 'string') {
+            errors.push('description: must be a string');
+        }
+
+        // Course-wide defaults
+        const speed = CourseLoader.number(course, 'speed', 'speed', constants.OBSTACLE_SPEED, errors, {
+            min: 0.5, max: 10
+        });
+        const gapSize = CourseLoader.number(course, 'gapSize', 'gapSize', constants.GAP_SIZE, errors, {
+            min: constants.BIRD_SIZE, max: constants.SCREEN_HEIGHT - constants.GAP_MARGIN * 2
+        });
+        const spacing = CourseLoader.number(course, 'spacing', 'spacing', constants.SPAWN_DISTANCE, errors, {
+            min: constants.OBSTACLE_WIDTH, max: 2000
+        });
+        const finishDistance = CourseLoader.number(course, 'finishDistance', 'finishDistance', spacing / 2, errors, {
+            min: 0, max: 2000
+        });
+
+        if (!Array.isArray(course.obstacles) || course.obstacles.length === 0) {
+            errors.push('obstacles: must be a non-empty array');
+            throw CourseLoader.invalid(errors);
+        }
+
+        const obstacles = course.obstacles.map((entry, i) => {
+            const path = `obstacles[${i}]`;
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                errors.push(`${path}: must be an object`);
+                return null;
+            }
+            CourseLoader.checkKeys(entry, COURSE_OBSTACLE_KEYS, path, errors);
+
+            const obstacleGap = CourseLoader.number(entry, 'gapSize', `${path}.gapSize`, gapSize, errors, {
+                min: constants.BIRD_SIZE, max: constants.SCREEN_HEIGHT - constants.GAP_MARGIN * 2
+            });
+            // The first obstacle's spacing is measured from the round start
+            const obstacleSpacing = CourseLoader.number(entry, 'spacing', `${path}.spacing`, i === 0 ? 0 : spacing, errors, {
+                min: i === 0 ? 0 : constants.OBSTACLE_WIDTH, max: 2000
+            });
+            const obstacleSpeed = CourseLoader.number(entry, 'speed', `${path}.speed`, null, errors, {
+                min: 0.5, max: 10
+            });
+            const gapTop = CourseLoader.number(entry, 'gapTop', `${path}.gapTop`, null, errors, {
+                min: 0, max: constants.SCREEN_HEIGHT - obstacleGap
+            });
+
+            let checkpoint = null;
+            if (entry.checkpoint === true) {
+                checkpoint = `Checkpoint ${i + 1}`;
+            } else if (typeof entry.checkpoint === 'string' && entry.checkpoint.trim() !== '') {
+                checkpoint = entry.checkpoint;
+            } else if (entry.checkpoint !== undefined && entry.checkpoint !== null && entry.checkpoint !== false) {
+                errors.push(`${path}.checkpoint: must be true or a non-empty label`);
+            }
+
+            return {
+                gapTop: gapTop,
+                gapSize: obstacleGap,
+                spacing: obstacleSpacing,
+                speed: obstacleSpeed,
+                checkpoint: checkpoint
+            };
+        });
+
+        if (errors.length > 0) {
+            throw CourseLoader.invalid(errors);
+        }
+
+        return {
+            version: COURSE_VERSION,
+            id: typeof course.id === 'string' ? course.id : null,
+            name: course.name,
+            description: course.description || '',
+            speed: speed,
+            finishDistance: finishDistance,
+            obstacles: obstacles
+        };
+    }
+
+    /** Fetch and parse a course. */
+    static async load(url, constants) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Course not found: ${url} (HTTP ${response.status})`);
+        }
+        return CourseLoader.parse(await response.text(), constants);
+    }
+
+    /** Looks like a course rather than a recording (for dropped files). */
+    static isCourse(data) {
+        return !!data && Array.isArray(data.obstacles) && !Array.isArray(data.events);
+    }
+
+    static number(object, key, path, fallback, errors, { min, max }) {
+        const value = object[key];
+        if (value === undefined || value === null) return fallback;
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push(`${path}: must be a number (got ${JSON.stringify(value)})`);
+            return fallback;
+        }
+        if (value < min || value > max) {
+            errors.push(`${path}: must be between ${min} and ${max} (got ${value})`);
+            return fallback;
+        }
+        return value;
+    }
+
+    static checkKeys(object, allowed, path, errors) {
+        for (const key of Object.keys(object)) {
+            if (!allowed.includes(key)) {
+                errors.push(`${path}.${key}: unknown field (expected one of ${allowed.join(', ')})`);
+            }
+        }
+    }
+
+    static invalid(errors) {
+        const error = new Error(`Invalid course:\n- ${errors.join('\n- ')}`);
+        error.errors = errors;
+        return error;
+    }
+}
+
+// Export for the browser (game.js) and Node (checking course files)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CourseLoader, COURSE_LIBRARY, COURSE_VERSION };
+} else {
+    window.CourseLoader = CourseLoader;
+    window.COURSE_LIBRARY = COURSE_LIBRARY;
+}
@@ -0,0 +1,296 @@
+/**
+ * Diagnostics Overlay - Live view of face tracking and the game loop for tuning
+ * - Graph of the last few seconds: each raw blendshape of the active gesture
+ *   (faint), the same smoothed over bufferSize (solid), the detector's smoothed
+ *   score (white), trigger / reset thresholds and isSmiling (green band)
+ * - Detection fps + inference latency, render fps, flaps rejected by MIN_FLAP_INTERVAL
+ * - Sliders change triggerThreshold / resetThreshold / bufferSize live; "Copy URL"
+ *   gives a link with the tuned values as config query parameters (config.js)
+ * Hidden unless ?diagnostics=1 or Ctrl+Shift+D. The detector's onDiagnostics hook
+ * is only set while the overlay is open.
+ */
+
+const DIAGNOSTICS_COLORS = ['#ff6b9d', '#4dd4ff', '#ffd400', '#9d7bff'];
+
+class DiagnosticsOverlay {
+    /**
+     * @param {HTMLElement} root - #diagnostics-overlay
+     * @param {object} options
+     * @param {GameCore} options.core - For MIN_FLAP_INTERVAL
+     */
+    constructor(root, { core }) {
+        this.HISTORY_MS = 8000; // Graph width
+        this.THRESHOLD_GAP = 0.01; // Reset is kept at least this far below trigger
+
+        this.root = root;
+        this.core = core;
+        this.graph = root.querySelector('#diagnostics-graph');
+        this.legend = root.querySelector('#diagnostics-legend');
+        this.stats = root.querySelector('#diagnostics-stats');
+        this.sliders = {
+            triggerThreshold: root.querySelector('#diagnostics-trigger'),
+            resetThreshold: root.querySelector('#diagnostics-reset'),
+            bufferSize: root.querySelector('#diagnostics-buffer')
+        };
+
+        this.detector = null;
+        this.samples = [];    // Detector samples within HISTORY_MS
+        this.frameTimes = []; // Game loop frames within the last second
+        this.flaps = { accepted: 0, rejected: 0 };
+        this.visible = false;
+        this.animationId = null;
+        this.onThresholdsChange = null; // () - detector thresholds were changed here
+
+        // Same bounds as the config settings
+        for (const [key, slider] of Object.entries(this.sliders)) {
+            slider.min = CONFIG_SCHEMA[key].min;
+            slider.max = CONFIG_SCHEMA[key].max;
+            slider.step = CONFIG_SCHEMA[key].type === 'integer' ? 1 : 0.01;
+            slider.addEventListener('input', () => this.applyControls(key));
+        }
+        root.querySelector('#diagnostics-defaults-btn').addEventListener('click', () => this.restoreDefaults());
+        root.querySelector('#diagnostics-copy-btn').addEventListener('click', () => this.copyUrl());
+        root.querySelector('#diagnostics-close-btn').addEventListener('click', () => this.hide());
+    }
+
+    /** Follow a (new) face detector; null for keyboard / pointer input. */
+    attach(detector) {
+        if (this.detector) this.detector.onDiagnostics = null;
+        this.detector = detector;
+        this.samples = [];
+        if (detector && this.visible) this.connect();
+        this.renderLegend();
+    }
+
+    connect() {
+        this.detector.onDiagnostics = (sample) => this.addSample(sample);
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        if (this.visible) return;
+        this.visible = true;
+        this.root.classList.remove('hidden');
+        if (this.detector) this.connect();
+        this.renderLegend();
+
+        const dpr = window.devicePixelRatio || 1;
+        this.graph.width = this.graph.clientWidth * dpr;
+        this.graph.height = this.graph.clientHeight * dpr;
+
+        const draw = () => {
+            this.draw();
+            this.animationId = requestAnimationFrame(draw);
+        };
+        this.animationId = requestAnimationFrame(draw);
+    }
+
+    hide() {
+        if (!this.visible) return;
+        this.visible = false;
+        this.root.classList.add('hidden');
+        if (this.detector) this.detector.onDiagnostics = null;
+        cancelAnimationFrame(this.animationId);
+        this.animationId = null;
+        this.samples = [];
+        this.frameTimes = [];
+    }
+
+    addSample(sample) {
+        // Each blendshape smoothed like the detector smooths the gesture score
+        const size = this.detector.bufferSize;
+        const faces = this.samples.filter(s => s.raw !== null).slice(-(size - 1));
+        sample.smoothedBlendshapes = {};
+        for (const [name, value] of Object.entries(sample.blendshapes)) {
+            const values = [...faces.map(s => s.blendshapes[name]), value];
+            sample.smoothedBlendshapes[name] = values.reduce((a, b) => a + b, 0) / values.length;
+        }
+
+        this.samples.push(sample);
+        const cutoff = sample.time - this.HISTORY_MS;
+        while (this.samples.length > 0 && this.samples[0].time < cutoff) this.samples.shift();
+    }
+
+    /** Game loop frame (rAF time). */
+    recordFrame(time) {
+        if (!this.visible) return;
+        this.frameTimes.push(time);
+        while (this.frameTimes[0] < time - 1000) this.frameTimes.shift();
+    }
+
+    recordFlap(accepted) {
+        this.flaps[accepted ? 'accepted' : 'rejected']++;
+    }
+
+    applyControls(changed) {
+        if (!this.detector) return;
+        let trigger = Number(this.sliders.triggerThreshold.value);
+        let reset = Number(this.sliders.resetThreshold.value);
+
+        // Keep the hysteresis valid: move whichever slider wasn't dragged
+        if (reset > trigger - this.THRESHOLD_GAP) {
+            if (changed === 'resetThreshold') {
+                trigger = Math.min(reset + this.THRESHOLD_GAP, CONFIG_SCHEMA.triggerThreshold.max);
+                reset = trigger - this.THRESHOLD_GAP;
+            } else {
+                reset = Math.max(trigger - this.THRESHOLD_GAP, CONFIG_SCHEMA.resetThreshold.min);
+            }
+        }
+
+        const round = (value) => Math.round(value * 100) / 100;
+        this.detector.setThresholds({ triggerThreshold: round(trigger), resetThreshold: round(reset) });
+        this.detector.setBufferSize(Number(this.sliders.bufferSize.value));
+        this.syncControls();
+        if (this.onThresholdsChange) this.onThresholdsChange();
+    }
+
+    restoreDefaults() {
+        if (!this.detector) return;
+        const gesture = this.detector.gesture;
+        this.detector.setThresholds(gesture);
+        this.detector.setBufferSize(gesture.bufferSize);
+        this.syncControls();
+        if (this.onThresholdsChange) this.onThresholdsChange();
+    }
+
+    /** Sliders follow the detector (calibration or config may set it after attach). */
+    syncControls() {
+        for (const [key, slider] of Object.entries(this.sliders)) {
+            slider.disabled = !this.detector;
+            if (!this.detector) continue;
+            if (document.activeElement !== slider) slider.value = this.detector[key];
+            slider.nextElementSibling.textContent = this.detector[key];
+        }
+    }
+
+    /** This page's URL with the live values as config parameters. */
+    copyUrl() {
+        if (!this.detector) return;
+        const url = new URL(window.location.href);
+        for (const key of Object.keys(this.sliders)) {
+            url.searchParams.set(key, this.detector[key]);
+        }
+        console.log(`🩺 Tuned settings: ${url.href}`);
+        navigator.clipboard?.writeText(url.href).catch(() => { });
+    }
+
+    renderLegend() {
+        const names = this.detector ? this.detector.gesture.blendshapes : [];
+        this.legend.replaceChildren(...names.map((name, i) => {
+            const item = document.createElement('span');
+            item.textContent = name;
+            item.style.color = DIAGNOSTICS_COLORS[i % DIAGNOSTICS_COLORS.length];
+            return item;
+        }));
+    }
+
+    draw() {
+        this.syncControls();
+        this.drawGraph();
+        this.renderStats();
+    }
+
+    drawGraph() {
+        const ctx = this.graph.getContext('2d');
+        const { width, height } = this.graph;
+        ctx.clearRect(0, 0, width, height);
+        if (!this.detector) return;
+
+        const now = performance.now();
+        const x = (time) => width - (now - time) / this.HISTORY_MS * width;
+        const y = (value) => height - value * height;
+
+        // isSmiling
+        ctx.fillStyle = 'rgba(0, 255, 136, 0.15)';
+        for (let i = 0; i < this.samples.length; i++) {
+            if (!this.samples[i].isSmiling) continue;
+            const end = i + 1 < this.samples.length ? this.samples[i + 1].time : now;
+            ctx.fillRect(x(this.samples[i].time), 0, x(end) - x(this.samples[i].time), height);
+        }
+
+        // Thresholds
+        ctx.lineWidth = 1;
+        ctx.setLineDash([6, 4]);
+        for (const [level, color] of [[this.detector.triggerThreshold, '#ff4466'], [this.detector.resetThreshold, '#ffaa00']]) {
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(0, y(level));
+            ctx.lineTo(width, y(level));
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+
+        // No-face gaps break the lines
+        const line = (value, color, lineWidth) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = lineWidth;
+            ctx.beginPath();
+            let drawing = false;
+            for (const sample of this.samples) {
+                const v = value(sample);
+                if (v === undefined || v === null) {
+                    drawing = false;
+                    continue;
+                }
+                if (drawing) {
+                    ctx.lineTo(x(sample.time), y(v));
+                } else {
+                    ctx.moveTo(x(sample.time), y(v));
+                    drawing = true;
+                }
+            }
+            ctx.stroke();
+        };
+
+        const dpr = window.devicePixelRatio || 1;
+        this.detector.gesture.blendshapes.forEach((name, i) => {
+            const color = DIAGNOSTICS_COLORS[i % DIAGNOSTICS_COLORS.length];
+            ctx.globalAlpha = 0.35;
+            line(s => s.blendshapes[name], color, dpr);
+            ctx.globalAlpha = 1;
+            line(s => s.smoothedBlendshapes[name], color, 1.5 * dpr);
+        });
+        line(s => (s.raw === null ? null : s.smoothed), '#ffffff', 2 * dpr);
+    }
+
+    renderStats() {
+        const now = performance.now();
+        const lines = [];
+
+        if (this.detector) {
+            const recent = this.samples.filter(s => s.time >= now - 1000);
+            const last = this.samples[this.samples.length - 1];
+            const report = this.detector.getPerformanceReport();
+            const format = (value) => (typeof value === 'number' ? value.toFixed(2) : '-');
+
+            lines.push(`${this.detector.gesture.emoji} ${this.detector.gesture.label}: ` +
+                `${this.detector.isSmiling ? 'ACTIVE' : 'idle'}${this.detector.facePresent === false ? ' (no face)' : ''}`);
+            if (last) {
+                for (const name of this.detector.gesture.blendshapes) {
+                    lines.push(`  ${name}: ${format(last.blendshapes[name])} → ${format(last.smoothedBlendshapes[name])}`);
+                }
+                lines.push(`  score: ${format(last.raw)} → ${format(last.smoothed)}`);
+            }
+            lines.push(`Detection: ${recent.length} fps (target ${report.fps}, ${report.width}x${report.height})`);
+            lines.push(`Inference: ${last && last.latency !== null ? last.latency.toFixed(1) : '-'}ms ` +
+                `(avg ${report.latency ?? '-'}ms, ${report.backend || '-'} / ${report.delegate || '-'})`);
+        } else {
+            lines.push('No camera input');
+        }
+
+        lines.push(`Render: ${this.frameTimes.filter(t => t >= now - 1000).length} fps`);
+        lines.push(`Flaps: ${this.flaps.accepted} ok, ${this.flaps.rejected} rejected ` +
+            `(MIN_FLAP_INTERVAL ${this.core.MIN_FLAP_INTERVAL}ms)`);
+        this.stats.textContent = lines.join('\n');
+    }
+}
+
+// Export for use in game.js
+window.DiagnosticsOverlay = DiagnosticsOverlay;
@@ -0,0 +1,196 @@
+/**
+ * Exercise Session - Guided facial workout (reps + holds)
+ * "Smile and hold for 3 seconds, relax for 2, repeat 10 times":
+ * - Fed with the input's intensity + hysteresis state (FaceDetector.onIntensity)
+ * - A hold starts on the rising edge and ends on the falling edge; a rep counts
+ *   once a hold lasted holdMs. Peak intensity and hold duration are kept per rep
+ * - No hold within timeoutMs = missed rep
+ * - Timing comes in from the caller (performance.now()), no DOM, so it also runs in Node
+ */
+
+// Routines for the intro screen picker
+const EXERCISE_ROUTINES = {
+    gentle: { label: 'Gentle', emoji: '🌱', reps: 5, holdMs: 2000, relaxMs: 2000 },
+    standard: { label: '10 × 3s holds', emoji: '💪', reps: 10, holdMs: 3000, relaxMs: 2000 },
+    endurance: { label: 'Endurance', emoji: '🔥', reps: 6, holdMs: 5000, relaxMs: 3000 }
+};
+
+class ExerciseSession {
+    constructor({ reps = 10, holdMs = 3000, relaxMs = 2000, timeoutMs = 10000 } = {}) {
+        this.reps = reps;
+        this.holdMs = holdMs;
+        this.relaxMs = relaxMs;
+        this.timeoutMs = timeoutMs;
+
+        // Event hooks (optional)
+        this.onPhase = null;    // (phase, rep)
+        this.onRep = null;      // (rep result)
+        this.onComplete = null; // (summary)
+
+        this.phase = 'idle'; // 'idle' | 'relax' | 'hold' | 'done'
+        this.results = [];
+    }
+
+    /** Begin with a relax phase so the first hold starts from a neutral face. */
+    start(now) {
+        this.results = [];
+        this.startTime = now;
+        this.endTime = null;
+        this.active = false;
+        this.intensity = 0;
+        this.pausedAt = null;
+        this.setPhase('relax', now);
+    }
+
+    setPhase(phase, now) {
+        this.phase = phase;
+        this.phaseStart = now;
+        this.holdStart = null;
+
+        if (phase === 'hold') {
+            this.rep = { rep: this.results.length + 1, completed: false, holdMs: 0, peak: 0, attempts: 0 };
+        }
+        if (this.onPhase) this.onPhase(phase, this.results.length + 1);
+    }
+
+    /**
+     * Input update.
+     * @param {number} intensity - Smoothed 0-1 score
+     * @param {boolean} active - Hysteresis state (above trigger, until below reset)
+     * @param {number} now - ms timestamp
+     */
+    handleIntensity(intensity, active, now) {
+        if (this.pausedAt !== null) return;
+        this.intensity = intensity;
+
+        if (this.phase === 'hold') {
+            if (active && !this.active) {
+                // Rising edge - a hold attempt starts
+                this.holdStart = now;
+                this.rep.attempts++;
+            }
+            if (active && this.holdStart !== null) {
+                this.rep.peak = Math.max(this.rep.peak, intensity);
+            }
+            if (!active && this.active && this.holdStart !== null) {
+                // Falling edge - the hold ends here
+                this.endHold(now);
+            }
+        }
+
+        this.active = active;
+    }
+
+    endHold(now) {
+        const duration = now - this.holdStart;
+        this.holdStart = null;
+        this.rep.holdMs = Math.max(this.rep.holdMs, duration);
+
+        if (duration >= this.holdMs) {
+            this.rep.completed = true;
+            this.finishRep(now);
+        }
+        // Released too early: stay in 'hold' and wait for another attempt
+    }
+
+    finishRep(now) {
+        const rep = { ...this.rep, holdMs: Math.round(this.rep.holdMs), peak: Math.round(this.rep.peak * 100) / 100 };
+        this.results.push(rep);
+        if (this.onRep) this.onRep(rep);
+
+        if (this.results.length >= this.reps) {
+            this.phase = 'done';
+            this.endTime = now;
+            if (this.onPhase) this.onPhase('done', this.results.length);
+            if (this.onComplete) this.onComplete(this.summary());
+        } else {
+            this.setPhase('relax', now);
+        }
+    }
+
+    /**
+     * Advance timers. Call every frame.
+     * @returns {object} Snapshot for rendering
+     */
+    update(now) {
+        if (this.pausedAt === null) {
+            const elapsed = now - this.phaseStart;
+
+            if (this.phase === 'relax' && elapsed >= this.relaxMs && !this.active) {
+                // Only start the next rep once the face is actually relaxed
+                this.setPhase('hold', now);
+            } else if (this.phase === 'hold' && this.holdStart === null && elapsed >= this.timeoutMs) {
+                this.finishRep(now); // Missed
+            }
+        }
+
+        return this.snapshot(now);
+    }
+
+    snapshot(now) {
+        const time = this.pausedAt ?? now;
+        const elapsed = time - this.phaseStart;
+        const holdElapsed = this.holdStart !== null ? time - this.holdStart : 0;
+
+        return {
+            phase: this.phase,
+            paused: this.pausedAt !== null,
+            rep: Math.min(this.results.length + 1, this.reps),
+            reps: this.reps,
+            completed: this.results.filter(r => r.completed).length,
+            missed: this.results.filter(r => !r.completed).length,
+            intensity: this.intensity,
+            holding: this.holdStart !== null,
+            holdElapsed: holdElapsed,
+            holdProgress: Math.min(holdElapsed / this.holdMs, 1),
+            relaxRemaining: this.phase === 'relax' ? Math.max(this.relaxMs - elapsed, 0) : 0,
+            relaxProgress: this.phase === 'relax' ? Math.min(elapsed / this.relaxMs, 1) : 0
+        };
+    }
+
+    /** Freeze timers (face lost); the current hold attempt is dropped. */
+    pause(now) {
+        if (this.pausedAt !== null || this.phase === 'done') return;
+        // A hold that already reached the target still counts
+        if (this.holdStart !== null && now - this.holdStart >= this.holdMs) {
+            this.endHold(now);
+        }
+        this.pausedAt = now;
+        this.holdStart = null;
+        this.active = false;
+    }
+
+    resume(now) {
+        if (this.pausedAt === null) return;
+        this.phaseStart += now - this.pausedAt;
+        this.pausedAt = null;
+    }
+
+    summary() {
+        const completed = this.results.filter(r => r.completed);
+        const average = (values) => values.length
+            ? values.reduce((a, b) => a + b, 0) / values.length
+            : 0;
+
+        return {
+            reps: this.reps,
+            completed: completed.length,
+            missed: this.results.length - completed.length,
+            holdTargetMs: this.holdMs,
+            avgHoldMs: Math.round(average(completed.map(r => r.holdMs))),
+            longestHoldMs: Math.max(0, ...this.results.map(r => r.holdMs)),
+            avgPeak: Math.round(average(completed.map(r => r.peak)) * 100) / 100,
+            bestPeak: Math.max(0, ...this.results.map(r => r.peak)),
+            durationMs: Math.round((this.endTime ?? this.startTime) - this.startTime),
+            results: this.results
+        };
+    }
+}
+
+// Export for the browser (game.js) and Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExerciseSession, EXERCISE_ROUTINES };
+} else {
+    window.ExerciseSession = ExerciseSession;
+    window.EXERCISE_ROUTINES = EXERCISE_ROUTINES;
+}
@@ -5,18 +5,62 @@
  * - Trigger threshold: 0.6
  * - Reset threshold: 0.4
  * - Buffer size: 5
- * - NO calibration (blendshapes are pre-calibrated 0-1)
+ * - NO calibration by default (blendshapes are pre-calibrated 0-1);
+ *   optional per-user thresholds come from smile-calibration.js
+ * Other exercises (cheek puff, jaw open...) reuse the same smoothing and
+ * hysteresis with their own settings, see gestures.js
+ * Implements InputProvider: gesture rising edge = flap, smoothed score = intensity
+ * Also tracks face presence (onFaceLost / onFaceFound) and framing hints
+ * (too far / too close / off-center / too dark) from the landmarks.
+ * MediaPipe module, WASM and model are loaded local-first with CDN fallback
+ * (FaceDetector.ASSET_SOURCES, populate with scripts/fetch-mediapipe.sh).
+ * Detection rate / camera resolution adapt to the device (performance-governor.js)
+ * and the GPU delegate falls back to CPU when it fails or is slower.
+ * Inference runs in face-worker.js when Workers + createImageBitmap are available
+ * (?worker=off or any worker failure keeps it on the main thread).
+ * onDiagnostics gets every detection's raw blendshapes, scores and latency
+ * (diagnostics.js) - only while set, so normal play builds nothing extra.
  */
 
-class FaceDetector {
-    constructor() {
+class FaceDetector extends InputProvider {
+    constructor({ assetSources, useWorker = true, deviceId = null } = {}) {
+        super();
+        this.type = 'camera';
+        this.deviceId = deviceId; // Camera picked by the player, null = front / default
+
+        // Where to load MediaPipe from - each list is tried in order
+        this.assetSources = { ...FaceDetector.ASSET_SOURCES, ...assetSources };
+
         this.faceLandmarker = null;
         this.isInitialized = false;
         this.onSmileChange = null;
+        this.onLandmarks = null; // (normalized landmarks or null) per detection - camera-preview.js
         this.videoElement = null;
+        this.facingMode = null; // From the started stream - camera-preview.js mirrors unless 'environment'
         this.animationId = null;
+        this.lastTimestamp = 0;
+
+        // Off-main-thread inference (face-worker.js)
+        this.useWorker = useWorker;
+        this.worker = null;
+        this.workerBusy = false; // One frame in flight at a time
+        this.backend = null;     // 'worker' | 'main'
+        this.detectionPaused = false;
+
+        // Adaptive detection rate / resolution and delegate choice
+        this.governor = new PerformanceGovernor({
+            onChange: (tier, previous) => this.handleTierChange(tier, previous)
+        });
+        this.delegate = null;
+        this.onConfigChange = null; // (performance report)
+
+        // Funnel hooks (analytics)
+        this.onCameraResult = null; // ('granted' | FaceDetector.ERRORS key, error?)
+        this.onModelLoaded = null;  // ({ loadMs, backend, delegate })
+        this.modelLoadMs = null;
 
         // Smile detection state (MATCHING FLUTTER APP EXACTLY)
+        // With other gestures these hold the active gesture's score/state
         this.smileScore = 0;
         this.isSmiling = false;
         this.smileBuffer = [];
@@ -25,106 +69,601 @@ class FaceDetector {
         // Hysteresis thresholds (MATCHING FLUTTER APP EXACTLY)
         this.triggerThreshold = 0.6; // Flutter: _smileTriggerThreshold = 0.6
         this.resetThreshold = 0.4;   // Flutter: _smileResetThreshold = 0.4
+
+        // Raw (unsmoothed) score hook, used by calibration
+        this.onRawScore = null;
+
+        // Per-detection sample hook, used by the diagnostics overlay
+        this.onDiagnostics = null; // ({ time, latency, blendshapes, raw, smoothed, isSmiling })
+        this.lastLatency = null;   // ms of the last inference
+
+        // Face presence & framing
+        this.facePresent = null; // Unknown until the first detection
+        this.lastFaceTime = 0;
+        this.FACE_LOST_DELAY = 500; // ms without a face before reporting it lost
+        this.framingHint = null;
+        this.brightness = null;
+        this.lastBrightnessTime = 0;
+        this.brightnessCanvas = null;
+        this.onFaceLost = null;
+        this.onFaceFound = null;
+        this.onFramingHint = null; // (hint key or null)
+
+        // Active gesture - 'smile' keeps the Flutter values above
+        this.setGesture('smile');
     }
 
+    setGesture(gestureId) {
+        const gesture = GESTURES[gestureId];
+        if (!gesture) {
+            throw new Error(`Unknown gesture: ${gestureId}`);
+        }
+
+        this.gestureId = gestureId;
+        this.gesture = gesture;
+        this.gestureStep = 0; // Position in 'sequence' gestures
+        this.hint = `${gesture.action} to make the fish jump!`;
+
+        // Each gesture brings its own smoothing and hysteresis
+        this.bufferSize = gesture.bufferSize;
+        this.triggerThreshold = gesture.triggerThreshold;
+        this.resetThreshold = gesture.resetThreshold;
+
+        this.smileBuffer = [];
+        this.smileScore = 0;
+        this.isSmiling = false;
+    }
+
+    setThresholds({ triggerThreshold, resetThreshold }) {
+        this.triggerThreshold = triggerThreshold;
+        this.resetThreshold = resetThreshold;
+        console.log(`🎯 Thresholds: trigger=${triggerThreshold}, reset=${resetThreshold}`);
+    }
+
+    setBufferSize(bufferSize) {
+        this.bufferSize = bufferSize;
+        // detectSmile() only drops one old value per frame - trim when shrinking
+        this.smileBuffer.splice(0, Math.max(0, this.smileBuffer.length - bufferSize));
+    }
+
+    async start({ videoElement }) {
+        return this.initialize(videoElement);
+    }
+
+    /**
+     * Start the camera and load the model.
+     * @throws {Error} With `kind` (a FaceDetector.ERRORS key) and the original error as `cause`
+     */
     async initialize(videoElement) {
         this.videoElement = videoElement;
 
         console.log('🔄 Initializing MediaPipe Face Landmarker...');
 
         try {
-            // Request camera access - OPTIMIZED for low-end devices
-            const stream = await navigator.mediaDevices.getUserMedia({
+            await this.startCamera(videoElement);
+            await this.loadLandmarker();
+        } catch (error) {
+            console.error('❌ Face detection error:', error);
+            throw error;
+        }
+
+        // Start detection loop
+        if (this.worker) {
+            this.startWorkerDetectionLoop();
+        } else {
+            this.startDetectionLoop();
+        }
+    }
+
+    async startCamera(videoElement) {
+        // getUserMedia only exists on https:// and localhost
+        if (!window.isSecureContext || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            const error = FaceDetector.failure('insecure', new Error(`Camera API unavailable on ${location.protocol}`));
+            if (this.onCameraResult) this.onCameraResult(error.kind, error.cause);
+            throw error;
+        }
+
+        // Request camera access - OPTIMIZED for low-end devices
+        // Starts at 480x360 (reduced from 640x480); the governor adjusts it later
+        const { width, height } = this.governor.tier;
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({
                 video: {
-                    facingMode: 'user',
-                    width: { ideal: 480 },  // Reduced from 640 for performance
-                    height: { ideal: 360 }  // Reduced from 480 for performance
+                    ...(this.deviceId ? { deviceId: { exact: this.deviceId } } : { facingMode: 'user' }),
+                    width: { ideal: width },
+                    height: { ideal: height }
                 }
             });
+        } catch (cause) {
+            const error = FaceDetector.failure(FaceDetector.classifyCameraError(cause), cause);
+            if (this.onCameraResult) this.onCameraResult(error.kind, cause);
+            throw error;
+        }
+        if (this.onCameraResult) this.onCameraResult('granted');
+        // 'user' / 'environment' on phones; desktop webcams usually don't say (treated as 'user')
+        this.facingMode = stream.getVideoTracks()[0]?.getSettings().facingMode || null;
 
-            videoElement.srcObject = stream;
+        videoElement.srcObject = stream;
+        try {
             await videoElement.play();
-            console.log('📷 Camera started');
-
-            // Load MediaPipe Face Landmarker
-            const { FaceLandmarker, FilesetResolver } = await import(
-                'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.8/+esm'
-            );
-
-            const filesetResolver = await FilesetResolver.forVisionTasks(
-                'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.8/wasm'
-            );
-
-            this.faceLandmarker = await FaceLandmarker.createFromOptions(filesetResolver, {
-                baseOptions: {
-                    modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task',
-                    delegate: 'GPU'
-                },
-                outputFaceBlendshapes: true, // Enable blendshapes (like Flutter app)
-                runningMode: 'VIDEO',
-                numFaces: 1
-            });
+        } catch (cause) {
+            throw FaceDetector.failure('unknown', cause);
+        }
+        console.log('📷 Camera started');
+    }
+
+    async loadLandmarker() {
+        try {
+            const modelStart = performance.now();
+            if (this.useWorker && FaceDetector.supportsWorker()) {
+                try {
+                    await this.initializeWorker();
+                } catch (error) {
+                    console.warn('⚠️ Face worker unavailable, detecting on the main thread:', error);
+                    this.terminateWorker();
+                }
+            }
+
+            if (!this.worker) {
+                // Load MediaPipe Face Landmarker (local first, CDN fallback)
+                const { FaceLandmarker, FilesetResolver } = await this.loadVisionModule();
+
+                const filesetResolver = await FilesetResolver.forVisionTasks(
+                    await this.resolveWasmBase()
+                );
+                const modelBuffer = await this.loadModel();
+
+                this.faceLandmarker = await this.createLandmarker(FaceLandmarker, filesetResolver, modelBuffer);
+                this.backend = 'main';
+            }
 
             this.isInitialized = true;
-            console.log('✅ Face Landmarker initialized with blendshapes');
+            this.modelLoadMs = Math.round(performance.now() - modelStart);
+            console.log(`✅ Face Landmarker initialized with blendshapes (${this.delegate}, ${this.backend}) in ${this.modelLoadMs}ms`);
+            if (this.onModelLoaded) {
+                this.onModelLoaded({ loadMs: this.modelLoadMs, backend: this.backend, delegate: this.delegate });
+            }
+            this.reportConfig();
+        } catch (cause) {
+            // Every source failed (offline with nothing cached, CDN blocked, no WebAssembly...)
+            throw FaceDetector.failure('model', cause);
+        }
+    }
 
-            // Start detection loop
-            this.startDetectionLoop();
+    /** getUserMedia DOMException -> FaceDetector.ERRORS key. */
+    static classifyCameraError(error) {
+        switch (error && error.name) {
+            case 'NotAllowedError':
+            case 'SecurityError':
+                return 'denied';
+            case 'NotFoundError':
+            case 'DevicesNotFoundError':
+                return 'not-found';
+            case 'NotReadableError':
+            case 'TrackStartError':
+            case 'AbortError':
+                return 'in-use';
+            case 'OverconstrainedError':
+            case 'ConstraintNotSatisfiedError':
+                return 'overconstrained';
+            default:
+                return 'unknown';
+        }
+    }
 
+    // DOMException's own `code` is read-only, so wrap instead of tagging it
+    static failure(kind, cause) {
+        const error = new Error(`${FaceDetector.ERRORS[kind].title}: ${cause.name} ${cause.message}`);
+        error.kind = kind;
+        error.cause = cause;
+        return error;
+    }
+
+    /** Video inputs for the camera picker (ids are empty until camera permission is granted). */
+    static async listCameras() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            return devices.filter(device => device.kind === 'videoinput' && device.deviceId);
         } catch (error) {
-            console.error('❌ Face detection error:', error);
-            throw error;
+            console.warn('⚠️ Could not list cameras:', error);
+            return [];
+        }
+    }
+
+    async initializeWorker() {
+        const worker = new Worker('face-worker.js');
+        this.worker = worker;
+
+        // Worker resolves URLs against its own location - send absolute ones
+        const absolute = (urls) => urls.map(url => new URL(url, document.baseURI).href);
+        const sources = {
+            workerBundle: absolute(this.assetSources.workerBundle),
+            wasm: absolute(this.assetSources.wasm),
+            model: absolute(this.assetSources.model)
+        };
+        const frame = await createImageBitmap(this.videoElement);
+
+        // A worker that never answers (stuck import, hung GPU init) falls back like a failed one
+        let timeout;
+        this.delegate = await new Promise((resolve, reject) => {
+            timeout = setTimeout(() => {
+                reject(new Error(`Face worker did not start within ${FaceDetector.WORKER_INIT_TIMEOUT}ms`));
+            }, FaceDetector.WORKER_INIT_TIMEOUT);
+            worker.onmessage = (event) => {
+                if (event.data.type === 'ready') resolve(event.data.delegate);
+                if (event.data.type === 'error') reject(new Error(event.data.message));
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                reject(new Error(event.message || 'Face worker failed to start'));
+            };
+            worker.postMessage({
+                type: 'init',
+                sources,
+                frame,
+                gpuBenchmarkLimit: FaceDetector.GPU_BENCHMARK_LIMIT
+            }, [frame]);
+        }).finally(() => clearTimeout(timeout));
+
+        worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+        this.backend = 'worker';
+    }
+
+    handleWorkerMessage(message) {
+        if (message.type === 'result') {
+            this.workerBusy = false;
+            if (!this.isInitialized || this.detectionPaused) return;
+            this.lastLatency = message.latency;
+            this.governor.recordLatency(message.latency);
+            this.processResults(message);
+        } else if (message.type === 'error') {
+            this.workerBusy = false;
+            console.warn('⚠️ Face worker error:', message.message);
         }
     }
 
+    terminateWorker() {
+        if (!this.worker) return;
+        this.worker.postMessage({ type: 'close' });
+        this.worker.terminate();
+        this.worker = null;
+        this.workerBusy = false;
+    }
+
+    async createLandmarker(FaceLandmarker, filesetResolver, modelBuffer) {
+        const create = (delegate) => FaceLandmarker.createFromOptions(filesetResolver, {
+            baseOptions: {
+                modelAssetBuffer: modelBuffer,
+                delegate: delegate
+            },
+            outputFaceBlendshapes: true, // Enable blendshapes (like Flutter app)
+            runningMode: 'VIDEO',
+            numFaces: 1
+        });
+
+        // GPU first, CPU if it can't initialize (no WebGL2, blocklisted driver...)
+        let landmarker;
+        try {
+            landmarker = await create('GPU');
+            this.delegate = 'GPU';
+        } catch (error) {
+            console.warn('⚠️ GPU delegate failed, falling back to CPU:', error);
+            this.delegate = 'CPU';
+            return create('CPU');
+        }
+
+        // Some GPUs (software GL, old Mali) are slower than the CPU path - compare
+        const gpuLatency = this.benchmark(landmarker);
+        if (gpuLatency > FaceDetector.GPU_BENCHMARK_LIMIT) {
+            try {
+                const cpuLandmarker = await create('CPU');
+                const cpuLatency = this.benchmark(cpuLandmarker);
+                console.log(`⏱️ Delegate benchmark: GPU ${gpuLatency.toFixed(1)}ms, CPU ${cpuLatency.toFixed(1)}ms`);
+
+                if (cpuLatency < gpuLatency) {
+                    landmarker.close();
+                    this.delegate = 'CPU';
+                    return cpuLandmarker;
+                }
+                cpuLandmarker.close();
+            } catch (error) {
+                console.warn('⚠️ CPU delegate benchmark failed, keeping GPU:', error);
+            }
+        }
+
+        return landmarker;
+    }
+
+    benchmark(landmarker, runs = 5) {
+        // First call includes warm-up (shader compile, allocations) - not timed
+        landmarker.detectForVideo(this.videoElement, this.nextTimestamp());
+
+        const start = performance.now();
+        for (let i = 0; i < runs; i++) {
+            landmarker.detectForVideo(this.videoElement, this.nextTimestamp());
+        }
+        return (performance.now() - start) / runs;
+    }
+
+    // MediaPipe VIDEO mode needs strictly increasing timestamps, even across the
+    // benchmark and rAF times that may lag behind performance.now()
+    nextTimestamp() {
+        this.lastTimestamp = Math.max(performance.now(), this.lastTimestamp + 1);
+        return this.lastTimestamp;
+    }
+
+    handleTierChange(tier, previous) {
+        const stream = this.videoElement && this.videoElement.srcObject;
+        if (stream && (tier.width !== previous.width || tier.height !== previous.height)) {
+            const [track] = stream.getVideoTracks();
+            track.applyConstraints({ width: { ideal: tier.width }, height: { ideal: tier.height } })
+                .catch((error) => console.warn('⚠️ Could not change camera resolution:', error));
+        }
+        this.reportConfig();
+    }
+
+    getPerformanceReport() {
+        return { delegate: this.delegate, backend: this.backend, ...this.governor.report() };
+    }
+
+    reportConfig() {
+        const report = this.getPerformanceReport();
+        console.log('⚙️ Detector config:', report);
+        if (this.onConfigChange) this.onConfigChange(report);
+    }
+
+    async loadVisionModule() {
+        for (const url of this.assetSources.module) {
+            try {
+                const module = await import(url);
+                console.log(`📦 MediaPipe module: ${url}`);
+                return module;
+            } catch (error) {
+                console.warn(`⚠️ MediaPipe module unavailable at ${url}`);
+            }
+        }
+        throw new Error('MediaPipe module could not be loaded');
+    }
+
+    async resolveWasmBase() {
+        // FilesetResolver only builds paths, so probe for the WASM loader ourselves
+        for (const base of this.assetSources.wasm) {
+            if (await FaceDetector.isAvailable(`${base}/vision_wasm_internal.js`)) {
+                console.log(`📦 MediaPipe WASM: ${base}`);
+                return base;
+            }
+            console.warn(`⚠️ MediaPipe WASM unavailable at ${base}`);
+        }
+        throw new Error('MediaPipe WASM could not be loaded');
+    }
+
+    async loadModel() {
+        for (const url of this.assetSources.model) {
+            try {
+                const response = await fetch(url);
+                if (response.ok) {
+                    console.log(`🧠 Face landmarker model: ${url}`);
+                    return new Uint8Array(await response.arrayBuffer());
+                }
+            } catch (error) {
+                // Network error - try the next source
+            }
+            console.warn(`⚠️ Model unavailable at ${url}`);
+        }
+        throw new Error('Face landmarker model could not be loaded');
+    }
+
+    static async isAvailable(url) {
+        try {
+            const response = await fetch(url, { method: 'HEAD' });
+            return response.ok;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static supportsWorker() {
+        return typeof Worker !== 'undefined' && typeof createImageBitmap === 'function';
+    }
+
     startDetectionLoop() {
         // OPTIMIZATION: Limit face detection to ~15fps (every 66ms) instead of 60fps
-        // This dramatically reduces CPU usage on low-end devices like Samsung A04
-        const TARGET_FPS = 15;
-        const FRAME_INTERVAL = 1000 / TARGET_FPS;
+        // This dramatically reduces CPU usage on low-end devices like Samsung A04.
+        // The governor moves the rate between 8 and 30fps from measured latency.
         let lastFrameTime = 0;
 
         const detectFrame = (currentTime) => {
-            if (!this.isInitialized || !this.faceLandmarker) return;
+            if (!this.isInitialized || !this.faceLandmarker || this.detectionPaused) return;
 
             // Throttle: Only process if enough time has passed
             const elapsed = currentTime - lastFrameTime;
-            if (elapsed < FRAME_INTERVAL) {
+            if (elapsed < this.governor.frameInterval) {
                 this.animationId = requestAnimationFrame(detectFrame);
                 return;
             }
             lastFrameTime = currentTime;
 
-            const results = this.faceLandmarker.detectForVideo(this.videoElement, currentTime);
+            const start = performance.now();
+            const results = this.faceLandmarker.detectForVideo(this.videoElement, this.nextTimestamp());
+            this.lastLatency = performance.now() - start;
+            this.governor.recordLatency(this.lastLatency);
             this.processResults(results);
 
             this.animationId = requestAnimationFrame(detectFrame);
         };
 
-        requestAnimationFrame(detectFrame);
+        this.animationId = requestAnimationFrame(detectFrame);
+    }
+
+    startWorkerDetectionLoop() {
+        // Same throttle as startDetectionLoop, but the rAF callback only grabs a
+        // frame - inference latency no longer lands on the game loop
+        let lastFrameTime = 0;
+
+        const detectFrame = (currentTime) => {
+            if (!this.isInitialized || !this.worker || this.detectionPaused) return;
+
+            if (!this.workerBusy && currentTime - lastFrameTime >= this.governor.frameInterval) {
+                lastFrameTime = currentTime;
+                this.captureFrame();
+            }
+
+            this.animationId = requestAnimationFrame(detectFrame);
+        };
+
+        this.animationId = requestAnimationFrame(detectFrame);
+    }
+
+    async captureFrame() {
+        this.workerBusy = true;
+        try {
+            // VideoFrame is a zero-copy handle where supported
+            const frame = typeof VideoFrame !== 'undefined'
+                ? new VideoFrame(this.videoElement)
+                : await createImageBitmap(this.videoElement);
+            if (!this.worker) {
+                frame.close();
+                return;
+            }
+            this.worker.postMessage({ type: 'frame', frame }, [frame]);
+        } catch (error) {
+            // Video not ready yet (no current frame) - try again next interval
+            this.workerBusy = false;
+        }
     }
 
     processResults(results) {
+        const now = performance.now();
+        this.checkBrightness(now);
+
         if (!results.faceBlendshapes || results.faceBlendshapes.length === 0) {
             // No face detected
             this.smileScore = 0;
-            this.updateUI();
+            this.emitIntensity(0, this.isSmiling);
+            this.updateFacePresence(false, now);
+            this.emitDiagnostics(now, null, null);
+            if (this.onLandmarks) this.onLandmarks(null);
             return;
         }
 
+        this.updateFacePresence(true, now);
+        if (results.faceLandmarks && results.faceLandmarks.length > 0) {
+            this.setFramingHint(this.analyzeFraming(results.faceLandmarks[0]));
+        }
+        if (this.onLandmarks) this.onLandmarks(results.faceLandmarks ? results.faceLandmarks[0] || null : null);
+
         const blendshapes = results.faceBlendshapes[0].categories;
+        const getScore = (name) => this.getBlendshapeScore(blendshapes, name);
 
-        // Get mouthSmileLeft and mouthSmileRight (EXACTLY like Flutter app)
+        // Smile: average of mouthSmileLeft and mouthSmileRight (EXACTLY like Flutter app)
         // Flutter: final smileLeft = result.getBlendshape('mouthSmileLeft');
         // Flutter: final smileRight = result.getBlendshape('mouthSmileRight');
-        const smileLeft = this.getBlendshapeScore(blendshapes, 'mouthSmileLeft');
-        const smileRight = this.getBlendshapeScore(blendshapes, 'mouthSmileRight');
-
-        // Average the two sides (EXACTLY like Flutter app)
         // Flutter: final smileScore = (smileLeft + smileRight) / 2.0;
-        const smileScore = (smileLeft + smileRight) / 2.0;
+        const smileScore = measureGesture(this.gesture, getScore, this.gestureStep);
 
+        if (this.onRawScore) this.onRawScore(smileScore);
         this.detectSmile(smileScore);
+        this.emitDiagnostics(now, blendshapes, smileScore);
+    }
+
+    /** Sample for the diagnostics overlay; no face = empty blendshapes and a null raw score. */
+    emitDiagnostics(now, blendshapes, raw) {
+        if (!this.onDiagnostics) return;
+
+        const scores = {};
+        if (blendshapes) {
+            for (const name of this.gesture.blendshapes) {
+                scores[name] = this.getBlendshapeScore(blendshapes, name);
+            }
+        }
+        this.onDiagnostics({
+            time: now,
+            latency: this.lastLatency,
+            blendshapes: scores,
+            raw: raw,
+            smoothed: this.smileScore,
+            isSmiling: this.isSmiling
+        });
+    }
+
+    updateFacePresence(detected, now) {
+        if (detected) {
+            this.lastFaceTime = now;
+            if (this.facePresent !== true) {
+                this.facePresent = true;
+                console.log('🙂 Face found');
+                if (this.onFaceFound) this.onFaceFound();
+            }
+            return;
+        }
+
+        // Ignore single missed frames - only report after FACE_LOST_DELAY
+        if (this.facePresent !== false && now - this.lastFaceTime >= this.FACE_LOST_DELAY) {
+            this.facePresent = false;
+            console.log('🙈 Face lost');
+            if (this.onFaceLost) this.onFaceLost();
+        }
+    }
+
+    /**
+     * Framing from normalized landmarks (0-1 in camera image space).
+     * Directions are for the mirrored selfie view the user sees.
+     */
+    analyzeFraming(landmarks) {
+        let minX = 1, maxX = 0, minY = 1, maxY = 0;
+        for (const point of landmarks) {
+            minX = Math.min(minX, point.x);
+            maxX = Math.max(maxX, point.x);
+            minY = Math.min(minY, point.y);
+            maxY = Math.max(maxY, point.y);
+        }
+
+        const faceWidth = maxX - minX;
+        const screenX = 1 - (minX + maxX) / 2; // Mirrored
+        const centerY = (minY + maxY) / 2;
+
+        if (faceWidth < 0.18) return 'tooFar';
+        if (faceWidth > 0.65) return 'tooClose';
+        if (screenX < 0.3) return 'moveRight';
+        if (screenX > 0.7) return 'moveLeft';
+        if (centerY < 0.28) return 'moveDown';
+        if (centerY > 0.72) return 'moveUp';
+        if (this.brightness !== null && this.brightness < 50) return 'tooDark';
+        return null;
+    }
+
+    setFramingHint(hint) {
+        if (hint === this.framingHint) return;
+        this.framingHint = hint;
+        if (this.onFramingHint) this.onFramingHint(hint);
+    }
+
+    /** Average luma (0-255) of a tiny downscaled frame, sampled once per second. */
+    checkBrightness(now) {
+        if (now - this.lastBrightnessTime < 1000 || !this.videoElement.videoWidth) return;
+        this.lastBrightnessTime = now;
+
+        if (!this.brightnessCanvas) {
+            this.brightnessCanvas = document.createElement('canvas');
+            this.brightnessCanvas.width = 16;
+            this.brightnessCanvas.height = 12;
+        }
+        const ctx = this.brightnessCanvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(this.videoElement, 0, 0, 16, 12);
+        const data = ctx.getImageData(0, 0, 16, 12).data;
+
+        let total = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            total += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        }
+        this.brightness = total / (data.length / 4);
+
+        // Too dark often means no face at all, so hint even without landmarks
+        if (this.facePresent === false) {
+            this.setFramingHint(this.brightness < 50 ? 'tooDark' : null);
+        }
     }
 
     getBlendshapeScore(blendshapes, name) {
@@ -153,7 +692,12 @@ class FaceDetector {
             // Flutter: if (_smileScore > _smileTriggerThreshold)
             if (this.smileScore > this.triggerThreshold) {
                 this.isSmiling = true;
-                console.log(`😊 FLAP! Smile score: ${(this.smileScore * 100).toFixed(0)}%`);
+                console.log(`${this.gesture.emoji} FLAP! ${this.gesture.label} score: ${(this.smileScore * 100).toFixed(0)}%`);
+
+                // Sequences expect the next blendshape after each trigger
+                if (this.gesture.type === 'sequence') {
+                    this.gestureStep++;
+                }
             }
         } else {
             // Currently smiling: Check for Reset Threshold (Falling Edge)
@@ -163,27 +707,32 @@ class FaceDetector {
             }
         }
 
-        // Notify on state change only (triggers flap)
-        if (wasSmiling !== this.isSmiling && this.onSmileChange) {
-            this.onSmileChange(this.isSmiling);
+        // Notify on state change only (rising edge triggers flap)
+        if (wasSmiling !== this.isSmiling) {
+            if (this.onSmileChange) this.onSmileChange(this.isSmiling);
+            if (this.isSmiling) this.emitFlap();
         }
 
-        this.updateUI();
+        this.emitIntensity(this.smileScore, this.isSmiling);
     }
 
-    updateUI() {
-        const emoji = document.getElementById('smile-emoji');
-        const fill = document.getElementById('smile-fill');
-
-        if (emoji) {
-            emoji.textContent = this.isSmiling ? '😊' : '😐';
-        }
+    /** Stop detecting (game paused); the camera stays open so resuming is instant. */
+    pause() {
+        if (!this.isInitialized || this.detectionPaused) return;
+        this.detectionPaused = true;
+        cancelAnimationFrame(this.animationId);
+        this.animationId = null;
+        if (this.videoElement) this.videoElement.pause();
+    }
 
-        if (fill) {
-            fill.style.width = `${Math.min(this.smileScore * 100, 100)}%`;
-            fill.style.background = this.isSmiling
-                ? 'linear-gradient(90deg, #00d4ff, #00ff88)'
-                : 'linear-gradient(90deg, #666, #888)';
+    resume() {
+        if (!this.detectionPaused) return;
+        this.detectionPaused = false;
+        if (this.videoElement) this.videoElement.play().catch(() => { });
+        if (this.worker) {
+            this.startWorkerDetectionLoop();
+        } else {
+            this.startDetectionLoop();
         }
     }
 
@@ -191,11 +740,84 @@ class FaceDetector {
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
         }
+        this.terminateWorker();
         if (this.videoElement && this.videoElement.srcObject) {
             this.videoElement.srcObject.getTracks().forEach(track => track.stop());
         }
     }
 }
 
+// Above this average GPU latency (ms) the CPU delegate is benchmarked too
+FaceDetector.GPU_BENCHMARK_LIMIT = 25;
+
+// ms for the worker to load MediaPipe + the model before detecting on the main thread instead
+FaceDetector.WORKER_INIT_TIMEOUT = 20000;
+
+// MediaPipe sources: self-hosted copies first, public CDNs as fallback
+FaceDetector.MEDIAPIPE_CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.8';
+FaceDetector.ASSET_SOURCES = {
+    module: ['./vendor/mediapipe/vision_bundle.mjs', `${FaceDetector.MEDIAPIPE_CDN}/+esm`],
+    workerBundle: ['vendor/mediapipe/vision_bundle.cjs', `${FaceDetector.MEDIAPIPE_CDN}/vision_bundle.cjs`],
+    wasm: ['vendor/mediapipe/wasm', `${FaceDetector.MEDIAPIPE_CDN}/wasm`],
+    model: [
+        'models/face_landmarker.task',
+        'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task'
+    ]
+};
+
+// Guidance text for framing hints (keys from analyzeFraming)
+FaceDetector.FRAMING_HINTS = {
+    tooFar: '🔍 Move closer to the camera',
+    tooClose: '↔️ Move back a little',
+    moveLeft: '⬅️ Move a little to the left',
+    moveRight: '➡️ Move a little to the right',
+    moveUp: '⬆️ Move up or tilt the camera down',
+    moveDown: '⬇️ Move down or tilt the camera up',
+    tooDark: '💡 Find better lighting'
+};
+
+// initialize() failures: what the player sees and how to fix it
+FaceDetector.ERRORS = {
+    insecure: {
+        title: 'Camera needs a secure connection',
+        steps: ['Open the game over https:// (or http://localhost)', 'Or play with the space bar / tap below'],
+        retry: false
+    },
+    denied: {
+        title: 'Camera access denied',
+        steps: [
+            'Click the camera icon in the address bar and allow access',
+            'On phones: Settings → your browser → Camera → Allow',
+            'Then press Retry'
+        ],
+        retry: true
+    },
+    'not-found': {
+        title: 'No camera found',
+        steps: ['Plug in a webcam or make sure it is switched on', 'Then press Retry'],
+        retry: true
+    },
+    'in-use': {
+        title: 'Camera is busy',
+        steps: ['Close other apps or tabs using the camera (video calls, camera app...)', 'Then press Retry'],
+        retry: true
+    },
+    overconstrained: {
+        title: 'Selected camera is not available',
+        steps: ['It may have been unplugged', 'Press Retry to use the default camera, or go back and pick another one'],
+        retry: true
+    },
+    model: {
+        title: 'Face detection failed to load',
+        steps: ['Check your internet connection - the model downloads on first play', 'Then press Retry'],
+        retry: true
+    },
+    unknown: {
+        title: 'Camera could not start',
+        steps: ['Press Retry', 'If it keeps failing, reload the page or try another browser'],
+        retry: true
+    }
+};
+
 // Export for use in game.js
 window.FaceDetector = FaceDetector;
@@ -0,0 +1,157 @@
+/**
+ * Face Worker - MediaPipe Face Landmarker off the main thread
+ * Keeps detectForVideo from stalling FlappyGame.gameLoop() on mid-range phones.
+ * Classic worker on purpose: MediaPipe's WASM loader relies on importScripts().
+ *
+ * In:  { type: 'init', sources, frame, gpuBenchmarkLimit }
+ *                                         - frame (ImageBitmap) is used for the delegate benchmark; CPU is
+ *                                           tried too above gpuBenchmarkLimit ms (FaceDetector's)
+ *      { type: 'frame', frame }           - ImageBitmap or VideoFrame (transferred, closed here)
+ * Out: { type: 'ready', delegate }
+ *      { type: 'result', faceBlendshapes, faceLandmarks, latency }
+ *      { type: 'error', message }
+ */
+
+let faceLandmarker = null;
+let lastTimestamp = 0;
+
+// MediaPipe VIDEO mode needs strictly increasing timestamps
+function nextTimestamp() {
+    lastTimestamp = Math.max(performance.now(), lastTimestamp + 1);
+    return lastTimestamp;
+}
+
+function loadVisionBundle(urls) {
+    for (const url of urls) {
+        try {
+            // The CommonJS bundle exports through module.exports
+            self.module = { exports: {} };
+            self.exports = self.module.exports;
+            importScripts(url);
+            console.log(`📦 [worker] MediaPipe bundle: ${url}`);
+            return self.module.exports;
+        } catch (error) {
+            console.warn(`⚠️ [worker] MediaPipe bundle unavailable at ${url}`);
+        }
+    }
+    throw new Error('MediaPipe bundle could not be loaded in worker');
+}
+
+async function resolveWasmBase(bases) {
+    for (const base of bases) {
+        try {
+            const response = await fetch(`${base}/vision_wasm_internal.js`, { method: 'HEAD' });
+            if (response.ok) return base;
+        } catch (error) {
+            // Try the next source
+        }
+        console.warn(`⚠️ [worker] MediaPipe WASM unavailable at ${base}`);
+    }
+    throw new Error('MediaPipe WASM could not be loaded');
+}
+
+async function loadModel(urls) {
+    for (const url of urls) {
+        try {
+            const response = await fetch(url);
+            if (response.ok) return new Uint8Array(await response.arrayBuffer());
+        } catch (error) {
+            // Try the next source
+        }
+        console.warn(`⚠️ [worker] Model unavailable at ${url}`);
+    }
+    throw new Error('Face landmarker model could not be loaded');
+}
+
+function benchmark(landmarker, frame, runs = 5) {
+    landmarker.detectForVideo(frame, nextTimestamp()); // Warm-up, not timed
+
+    const start = performance.now();
+    for (let i = 0; i < runs; i++) {
+        landmarker.detectForVideo(frame, nextTimestamp());
+    }
+    return (performance.now() - start) / runs;
+}
+
+async function initialize({ sources, frame, gpuBenchmarkLimit }) {
+    const { FaceLandmarker, FilesetResolver } = loadVisionBundle(sources.workerBundle);
+    const filesetResolver = await FilesetResolver.forVisionTasks(await resolveWasmBase(sources.wasm));
+    const modelBuffer = await loadModel(sources.model);
+
+    const create = (delegate) => FaceLandmarker.createFromOptions(filesetResolver, {
+        baseOptions: {
+            modelAssetBuffer: modelBuffer,
+            delegate: delegate
+        },
+        outputFaceBlendshapes: true,
+        runningMode: 'VIDEO',
+        numFaces: 1
+    });
+
+    // Same policy as the main thread: GPU, CPU if it fails or is slower
+    let delegate = 'GPU';
+    try {
+        faceLandmarker = await create('GPU');
+    } catch (error) {
+        console.warn('⚠️ [worker] GPU delegate failed, falling back to CPU:', error);
+        faceLandmarker = await create('CPU');
+        delegate = 'CPU';
+    }
+
+    if (delegate === 'GPU') {
+        const gpuLatency = benchmark(faceLandmarker, frame);
+        if (gpuLatency > gpuBenchmarkLimit) {
+            const cpuLandmarker = await create('CPU');
+            const cpuLatency = benchmark(cpuLandmarker, frame);
+            console.log(`⏱️ [worker] Delegate benchmark: GPU ${gpuLatency.toFixed(1)}ms, CPU ${cpuLatency.toFixed(1)}ms`);
+
+            if (cpuLatency < gpuLatency) {
+                faceLandmarker.close();
+                faceLandmarker = cpuLandmarker;
+                delegate = 'CPU';
+            } else {
+                cpuLandmarker.close();
+            }
+        }
+    }
+
+    frame.close();
+    return delegate;
+}
+
+function detect(frame) {
+    const start = performance.now();
+    const results = faceLandmarker.detectForVideo(frame, nextTimestamp());
+    const latency = performance.now() - start;
+    frame.close();
+
+    self.postMessage({
+        type: 'result',
+        faceBlendshapes: results.faceBlendshapes,
+        faceLandmarks: results.faceLandmarks,
+        latency: latency
+    });
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    try {
+        if (message.type === 'init') {
+            const delegate = await initialize(message);
+            self.postMessage({ type: 'ready', delegate });
+        } else if (message.type === 'frame') {
+            if (faceLandmarker) {
+                detect(message.frame);
+            } else {
+                message.frame.close();
+            }
+        } else if (message.type === 'close') {
+            if (faceLandmarker) faceLandmarker.close();
+            self.close();
+        }
+    } catch (error) {
+        if (message.frame) message.frame.close();
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+};
@@ -0,0 +1,696 @@
+/**
+ * Game Core - Headless Flappy Cheek simulation
+ * Pure physics, spawning and collision (no DOM, canvas, Math.random or Date.now):
+ * - One step() = one 60fps tick of the Flutter app
+ * - Obstacles come from a seeded PRNG, so seed + flap ticks = identical round
+ * - CONTROL_MODE 'analog' replaces flaps with continuous thrust from intensity
+ * - Optional difficulty ramp: speed, gap size, spawn spacing and gap-position
+ *   variance move from their start to their end value as the score grows
+ *   (DIFFICULTY_PRESETS; the bare constants keep the flat Flutter round)
+ * - Optional course (course.js): hand-placed obstacles, speed changes and
+ *   checkpoints instead of random spawning, ending at a finish line
+ * - Fish hit shape (HITBOX_SHAPES): the sprite's opaque outline by default; pipes
+ *   collide including the caps drawPipe() draws (legacy 'box' = Flutter square)
+ * - LAYOUT_PRESETS: logical field size (landscape = Flutter 640x480, or a tall
+ *   portrait field for phones with the same gap range, so neither is harder).
+ *   Random gaps only - courses use absolute gap positions and stay landscape
+ * - Runs in the browser (window.GameCore) and in Node (require('./game-core'))
+ */
+
+// Game constants (matching Flutter app EXACTLY)
+const GAME_CONSTANTS = {
+    SCREEN_WIDTH: 640,
+    SCREEN_HEIGHT: 480,
+    GRAVITY: 0.2,
+    FLAP_STRENGTH: -7,
+    TERMINAL_VELOCITY: 10,
+    OBSTACLE_SPEED: 2.5,
+    OBSTACLE_WIDTH: 80,
+    GAP_SIZE: 200,
+    GAP_MARGIN: 80, // Min distance of a gap from the top/bottom edge
+    BIRD_SIZE: 60,
+    BIRD_X: 150, // Fixed X position
+    SPAWN_DISTANCE: 300,
+    MIN_FLAP_INTERVAL: 500, // ms
+    SIM_STEP_MS: 1000 / 60,
+
+    // Control mode: 'flap' (Flutter app, rising edge = jump) or 'analog' (hold to rise)
+    CONTROL_MODE: 'flap',
+    // Analog tuning (not in the Flutter app): intensity 0-1 → upward thrust per tick.
+    // Hover point ≈ DEADZONE + GRAVITY / THRUST * (1 - DEADZONE) ≈ 50% intensity
+    ANALOG_THRUST: 0.45,
+    ANALOG_DEADZONE: 0.1,   // Ignore resting-face noise
+    ANALOG_MAX_RISE: 4,     // Max upward speed
+    ANALOG_DAMPING: 0.95,   // Water drag - keeps holds controllable
+
+    // Difficulty ramp (not in the Flutter app). Values above are the start of the
+    // round, these are reached at DIFFICULTY_RAMP_SCORE. End = start means no ramp.
+    DIFFICULTY_RAMP_SCORE: 0,   // 0 = flat round
+    OBSTACLE_SPEED_END: 2.5,
+    GAP_SIZE_END: 200,
+    SPAWN_DISTANCE_END: 300,
+    GAP_VARIANCE: 1,            // Share of the free height gaps may use (1 = anywhere)
+    GAP_VARIANCE_END: 1,
+
+    // Collision (not in the Flutter app - see HITBOX_SHAPES)
+    HITBOX: 'sprite',
+    HITBOX_SCALE: 1,            // < 1 = more forgiving
+    PIPE_CAP_HEIGHT: 20,        // Pipe caps collide too (drawn by game.js drawPipe)
+    PIPE_CAP_EXTENSION: 4       // Cap overhang on each side of the pipe
+};
+
+// Fish hit shapes in BIRD_SIZE units around the fish centre (x right, y down):
+// - box: the Flutter square shrunk by a flat 10% "forgiveness"; pipe caps don't collide
+// - ellipse: radii rx / ry
+// - sprite: convex outline of the opaque pixels of assets/fish_no_BG.png
+//   (GameCore.traceHitbox - the H debug overlay traces the loaded image to compare)
+const HITBOX_SHAPES = {
+    box: { type: 'box', inset: 0.1 },
+    ellipse: { type: 'ellipse', rx: 0.44, ry: 0.3 },
+    sprite: {
+        type: 'polygon',
+        points: [
+            [-0.493, -0.24], [0.052, -0.433], [0.081, -0.421], [0.336, -0.175],
+            [0.492, 0.015], [0.499, 0.15], [0.478, 0.182], [0.115, 0.412],
+            [-0.07, 0.432], [-0.462, 0.264], [-0.469, 0.254], [-0.499, -0.226]
+        ]
+    }
+};
+
+// Constants added after rounds were first recorded, with the value those
+// recordings were played with (see GameCore.recordedConstants)
+const LEGACY_CONSTANTS = {
+    HITBOX: 'box'
+};
+
+// Intro screen presets - overrides for GAME_CONSTANTS
+const DIFFICULTY_PRESETS = {
+    easy: {
+        label: 'Easy',
+        emoji: '🐚',
+        constants: {
+            OBSTACLE_SPEED: 2,
+            OBSTACLE_SPEED_END: 2.6,
+            GAP_SIZE: 240,
+            GAP_SIZE_END: 210,
+            SPAWN_DISTANCE: 340,
+            SPAWN_DISTANCE_END: 300,
+            GAP_VARIANCE: 0.5,
+            GAP_VARIANCE_END: 0.8,
+            DIFFICULTY_RAMP_SCORE: 300
+        }
+    },
+    normal: {
+        label: 'Normal',
+        emoji: '🐠',
+        // Starts at the Flutter speed / gap / spacing
+        constants: {
+            OBSTACLE_SPEED: 2.5,
+            OBSTACLE_SPEED_END: 3.2,
+            GAP_SIZE: 200,
+            GAP_SIZE_END: 180,
+            SPAWN_DISTANCE: 300,
+            SPAWN_DISTANCE_END: 250,
+            GAP_VARIANCE: 0.7,
+            GAP_VARIANCE_END: 1,
+            DIFFICULTY_RAMP_SCORE: 300
+        }
+    },
+    hard: {
+        label: 'Hard',
+        emoji: '🦈',
+        constants: {
+            OBSTACLE_SPEED: 3,
+            OBSTACLE_SPEED_END: 3.8,
+            GAP_SIZE: 190,
+            GAP_SIZE_END: 170,
+            SPAWN_DISTANCE: 280,
+            SPAWN_DISTANCE_END: 230,
+            GAP_VARIANCE: 0.9,
+            GAP_VARIANCE_END: 1,
+            DIFFICULTY_RAMP_SCORE: 200
+        }
+    }
+};
+
+// Logical field per screen orientation. Portrait is taller and narrower; GAP_MARGIN
+// grows with the height so gaps move over the same 120px range as in landscape
+const LAYOUT_PRESETS = {
+    landscape: {
+        label: 'Landscape',
+        constants: { SCREEN_WIDTH: 640, SCREEN_HEIGHT: 480, BIRD_X: 150, GAP_MARGIN: 80 }
+    },
+    portrait: {
+        label: 'Portrait',
+        constants: { SCREEN_WIDTH: 420, SCREEN_HEIGHT: 720, BIRD_X: 110, GAP_MARGIN: 200 }
+    }
+};
+
+/**
+ * Mulberry32 PRNG - tiny, fast and identical on every JS engine.
+ * Returns a function yielding floats in [0, 1) like Math.random().
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class GameCore {
+    constructor(options = {}) {
+        // Constants are copied onto the instance (core.GRAVITY etc.)
+        Object.assign(this, GAME_CONSTANTS, options.constants);
+
+        // Event hooks (optional)
+        this.onFlap = null;
+        this.onSpawn = null;
+        this.onScore = null;
+        this.onGameOver = null;
+        this.onCheckpoint = null; // (label, obstacle)
+        this.onFinish = null;     // (score) - course completed
+
+        // Validated course (CourseLoader.parse) or null for endless play
+        this.course = options.course || null;
+
+        this.reset(options.seed ?? 1);
+    }
+
+    /** Override constants (e.g. from a recording) without touching round state. */
+    configure(constants) {
+        Object.assign(this, constants);
+    }
+
+    /** Play a course from the next reset() on (null = endless). */
+    setCourse(course) {
+        this.course = course || null;
+    }
+
+    /** Constants a recording was played with (older recordings lack newer keys). */
+    static recordedConstants(constants) {
+        return { ...GAME_CONSTANTS, ...GameCore.legacyConstants(constants), ...constants };
+    }
+
+    /** LEGACY_CONSTANTS entries missing from a recording's constants. */
+    static legacyConstants(constants) {
+        const legacy = {};
+        for (const [key, value] of Object.entries(LEGACY_CONSTANTS)) {
+            if (!constants || !(key in constants)) legacy[key] = value;
+        }
+        return legacy;
+    }
+
+    getConstants() {
+        const constants = {};
+        for (const key of Object.keys(GAME_CONSTANTS)) {
+            constants[key] = this[key];
+        }
+        return constants;
+    }
+
+    reset(seed = this.seed) {
+        this.seed = seed >>> 0;
+        this.random = createRandom(this.seed);
+
+        this.tick = 0;
+        this.birdY = this.SCREEN_HEIGHT / 2;
+        this.prevBirdY = this.birdY; // For render interpolation
+        this.birdVelocity = 0;
+        this.obstacles = [];
+        this.score = 0;
+        this.gameOver = false;
+        this.lastFlapTick = -Infinity;
+        this.flapCount = 0;
+        this.intensity = 0; // Analog input, 0-1
+        this.nextObstacleId = 1;
+
+        // Course progress
+        this.courseIndex = 0;     // Next course obstacle to spawn
+        this.courseTravel = 0;    // Distance scrolled since the last course spawn
+        this.courseSpeed = this.course ? this.course.speed : null;
+        this.finishX = null;      // Finish line x once the last obstacle has spawned
+        this.prevFinishX = null;
+        this.checkpoint = null;   // Label of the last checkpoint passed
+        this.finished = false;
+    }
+
+    /** Simulation time in ms since reset (replaces Date.now()). */
+    get time() {
+        return this.tick * this.SIM_STEP_MS;
+    }
+
+    /**
+     * Apply a flap at the current tick.
+     * Returns false if rejected by MIN_FLAP_INTERVAL or after game over.
+     */
+    flap() {
+        if (this.gameOver || this.CONTROL_MODE === 'analog') return false;
+        if ((this.tick - this.lastFlapTick) * this.SIM_STEP_MS < this.MIN_FLAP_INTERVAL) return false;
+
+        this.birdVelocity = this.FLAP_STRENGTH;
+        this.lastFlapTick = this.tick;
+        this.flapCount++;
+        if (this.onFlap) this.onFlap(this.tick);
+        return true;
+    }
+
+    /**
+     * Set analog intensity (0-1) for the following ticks.
+     * Quantized to 1% so recordings can reproduce the exact same physics.
+     */
+    setIntensity(intensity) {
+        this.intensity = Math.round(Math.min(Math.max(intensity, 0), 1) * 100) / 100;
+        return this.intensity;
+    }
+
+    /** Ramp progress 0-1 from the current score (0 when the ramp is off). */
+    get difficultyLevel() {
+        if (this.DIFFICULTY_RAMP_SCORE <= 0) return 0;
+        return Math.min(this.score / this.DIFFICULTY_RAMP_SCORE, 1);
+    }
+
+    /** Value of a ramped constant at the current score. */
+    ramp(start, end) {
+        return start + (end - start) * this.difficultyLevel;
+    }
+
+    // Courses set speed, gaps and spacing themselves - no ramp
+    get obstacleSpeed() {
+        if (this.course) return this.courseSpeed;
+        return this.ramp(this.OBSTACLE_SPEED, this.OBSTACLE_SPEED_END);
+    }
+
+    get gapSize() {
+        return this.ramp(this.GAP_SIZE, this.GAP_SIZE_END);
+    }
+
+    get spawnDistance() {
+        return this.ramp(this.SPAWN_DISTANCE, this.SPAWN_DISTANCE_END);
+    }
+
+    get gapVariance() {
+        return this.ramp(this.GAP_VARIANCE, this.GAP_VARIANCE_END);
+    }
+
+    /** Intensity at which analog thrust cancels gravity. */
+    get hoverIntensity() {
+        return this.ANALOG_DEADZONE + (this.GRAVITY / this.ANALOG_THRUST) * (1 - this.ANALOG_DEADZONE);
+    }
+
+    /** Advance one fixed tick. Returns true once the round is over. */
+    step() {
+        if (this.gameOver) return true;
+
+        // Keep previous state so renderers can interpolate
+        this.prevBirdY = this.birdY;
+        for (const obs of this.obstacles) {
+            obs.prevX = obs.x;
+        }
+        this.prevFinishX = this.finishX;
+
+        if (this.CONTROL_MODE === 'analog') {
+            this.applyAnalogPhysics();
+        } else {
+            // Bird physics (exactly like Flutter app)
+            this.birdVelocity += this.GRAVITY;
+            if (this.birdVelocity > this.TERMINAL_VELOCITY) {
+                this.birdVelocity = this.TERMINAL_VELOCITY;
+            }
+        }
+        this.birdY += this.birdVelocity;
+
+        // Clamp bird position
+        const birdRadius = this.BIRD_SIZE / 2;
+        if (this.birdY < birdRadius) {
+            this.birdY = birdRadius;
+            this.birdVelocity = 0;
+        }
+        if (this.birdY > this.SCREEN_HEIGHT - birdRadius) {
+            this.birdY = this.SCREEN_HEIGHT - birdRadius;
+            this.gameOver = true;
+        }
+
+        // Spawn obstacles
+        if (this.course) {
+            this.spawnCourseObstacle();
+        } else if (this.obstacles.length === 0) {
+            this.spawnObstacle();
+        } else {
+            const lastObstacle = this.obstacles[this.obstacles.length - 1];
+            if (this.SCREEN_WIDTH - lastObstacle.x > this.spawnDistance) {
+                this.spawnObstacle();
+            }
+        }
+
+        // Update obstacles (speed is fixed for the tick, scoring may ramp it)
+        const speed = this.obstacleSpeed;
+        for (let i = this.obstacles.length - 1; i >= 0; i--) {
+            const obs = this.obstacles[i];
+            obs.x -= speed;
+
+            // Check if passed
+            if (!obs.passed && obs.x + this.OBSTACLE_WIDTH < this.BIRD_X) {
+                obs.passed = true;
+                this.score += 10;
+                if (this.onScore) this.onScore(this.score);
+                if (obs.checkpoint) {
+                    this.checkpoint = obs.checkpoint;
+                    if (this.onCheckpoint) this.onCheckpoint(obs.checkpoint, obs);
+                }
+            }
+
+            // Remove off-screen
+            if (obs.x + this.OBSTACLE_WIDTH < 0) {
+                this.obstacles.splice(i, 1);
+            }
+        }
+
+        if (this.course) {
+            this.courseTravel += speed;
+            if (this.finishX !== null) this.finishX -= speed;
+        }
+
+        // Check collisions
+        if (this.checkCollision()) {
+            this.gameOver = true;
+        }
+
+        // Course finish line reached
+        if (!this.gameOver && this.finishX !== null && this.finishX < this.BIRD_X) {
+            this.finished = true;
+            this.gameOver = true;
+            if (this.onFinish) this.onFinish(this.score);
+        }
+
+        this.tick++;
+
+        if (this.gameOver && this.onGameOver) {
+            this.onGameOver(this.score);
+        }
+        return this.gameOver;
+    }
+
+    applyAnalogPhysics() {
+        // Thrust ramps from 0 at the deadzone to ANALOG_THRUST at full intensity
+        const thrust = this.intensity > this.ANALOG_DEADZONE
+            ? (this.intensity - this.ANALOG_DEADZONE) / (1 - this.ANALOG_DEADZONE) * this.ANALOG_THRUST
+            : 0;
+
+        this.birdVelocity = (this.birdVelocity + this.GRAVITY - thrust) * this.ANALOG_DAMPING;
+        this.birdVelocity = Math.min(Math.max(this.birdVelocity, -this.ANALOG_MAX_RISE), this.TERMINAL_VELOCITY);
+    }
+
+    spawnObstacle() {
+        // Gap size is fixed per obstacle; variance < 1 keeps gaps near the middle
+        const gapSize = this.gapSize;
+        const minGapTop = this.GAP_MARGIN;
+        const maxGapTop = this.SCREEN_HEIGHT - gapSize - this.GAP_MARGIN;
+        const spread = (maxGapTop - minGapTop) * this.gapVariance;
+        const gapTop = minGapTop + (maxGapTop - minGapTop - spread) / 2 + this.random() * spread;
+        const gapBottom = gapTop + gapSize;
+
+        const obstacle = {
+            id: this.nextObstacleId++,
+            x: this.SCREEN_WIDTH,
+            prevX: this.SCREEN_WIDTH,
+            gapTop: gapTop,
+            gapBottom: gapBottom,
+            passed: false
+        };
+        this.obstacles.push(obstacle);
+        if (this.onSpawn) this.onSpawn(obstacle);
+        return obstacle;
+    }
+
+    spawnCourseObstacle() {
+        const entry = this.course.obstacles[this.courseIndex];
+        if (!entry) return null;
+        // The first obstacle counts from the round start, the others from the previous one
+        if (this.courseIndex > 0 && this.courseTravel <= entry.spacing) return null;
+        if (this.courseIndex === 0 && this.courseTravel < entry.spacing) return null;
+
+        if (entry.speed !== null) this.courseSpeed = entry.speed;
+
+        // gapTop null = random position (still seeded)
+        const maxGapTop = this.SCREEN_HEIGHT - entry.gapSize - this.GAP_MARGIN;
+        const gapTop = entry.gapTop !== null
+            ? entry.gapTop
+            : this.GAP_MARGIN + this.random() * (maxGapTop - this.GAP_MARGIN);
+
+        const obstacle = {
+            id: this.nextObstacleId++,
+            x: this.SCREEN_WIDTH,
+            prevX: this.SCREEN_WIDTH,
+            gapTop: gapTop,
+            gapBottom: gapTop + entry.gapSize,
+            passed: false,
+            checkpoint: entry.checkpoint
+        };
+        this.obstacles.push(obstacle);
+        this.courseIndex++;
+        this.courseTravel = 0;
+
+        if (this.courseIndex === this.course.obstacles.length) {
+            this.finishX = this.SCREEN_WIDTH + this.OBSTACLE_WIDTH + this.course.finishDistance;
+            this.prevFinishX = this.finishX;
+        }
+
+        if (this.onSpawn) this.onSpawn(obstacle);
+        return obstacle;
+    }
+
+    checkCollision() {
+        const hitbox = this.getHitbox();
+        const { bounds } = hitbox;
+
+        // Check screen bounds
+        if (bounds.top < 0 || bounds.bottom > this.SCREEN_HEIGHT) {
+            return true;
+        }
+
+        // Check obstacle collisions
+        for (const obs of this.obstacles) {
+            for (const rect of this.getObstacleRects(obs)) {
+                if (GameCore.shapeHitsRect(hitbox, rect)) return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * The fish's hit shape in field coordinates (also drawn by the debug overlay).
+     * @returns {{type: string, bounds: object, cx?: number, cy?: number, rx?: number, ry?: number, points?: number[][]}}
+     */
+    getHitbox(birdY = this.birdY) {
+        const shape = HITBOX_SHAPES[this.HITBOX] || HITBOX_SHAPES.box;
+        const size = this.BIRD_SIZE * this.HITBOX_SCALE;
+        const cx = this.BIRD_X;
+        const cy = birdY;
+
+        if (shape.type === 'ellipse') {
+            const rx = shape.rx * size;
+            const ry = shape.ry * size;
+            return {
+                type: 'ellipse', cx, cy, rx, ry,
+                bounds: { left: cx - rx, right: cx + rx, top: cy - ry, bottom: cy + ry }
+            };
+        }
+        if (shape.type === 'polygon') {
+            const points = shape.points.map(([x, y]) => [cx + x * size, cy + y * size]);
+            const xs = points.map(p => p[0]);
+            const ys = points.map(p => p[1]);
+            return {
+                type: 'polygon', points,
+                bounds: { left: Math.min(...xs), right: Math.max(...xs), top: Math.min(...ys), bottom: Math.max(...ys) }
+            };
+        }
+
+        const half = size * (0.5 - shape.inset);
+        return { type: 'box', bounds: { left: cx - half, right: cx + half, top: cy - half, bottom: cy + half } };
+    }
+
+    /** Solid parts of an obstacle: both pipes, plus their caps unless HITBOX is the legacy box. */
+    getObstacleRects(obs) {
+        const left = obs.x;
+        const right = obs.x + this.OBSTACLE_WIDTH;
+        const rects = [
+            { left, right, top: 0, bottom: obs.gapTop },
+            { left, right, top: obs.gapBottom, bottom: this.SCREEN_HEIGHT }
+        ];
+        if (this.HITBOX !== 'box') {
+            const capLeft = left - this.PIPE_CAP_EXTENSION;
+            const capRight = right + this.PIPE_CAP_EXTENSION;
+            rects.push(
+                { left: capLeft, right: capRight, top: obs.gapTop - this.PIPE_CAP_HEIGHT, bottom: obs.gapTop },
+                { left: capLeft, right: capRight, top: obs.gapBottom, bottom: obs.gapBottom + this.PIPE_CAP_HEIGHT }
+            );
+        }
+        return rects;
+    }
+
+    /** Overlap test (touching edges don't count, like the original box check). */
+    static shapeHitsRect(shape, rect) {
+        const { bounds } = shape;
+        if (bounds.right <= rect.left || bounds.left >= rect.right ||
+            bounds.bottom <= rect.top || bounds.top >= rect.bottom) {
+            return false;
+        }
+        if (shape.type === 'box') return true;
+
+        if (shape.type === 'ellipse') {
+            // Scale the ellipse to a unit circle; the closest rect point decides
+            const dx = (Math.min(Math.max(shape.cx, rect.left), rect.right) - shape.cx) / shape.rx;
+            const dy = (Math.min(Math.max(shape.cy, rect.top), rect.bottom) - shape.cy) / shape.ry;
+            return dx * dx + dy * dy < 1;
+        }
+
+        // Convex polygon: separating axis test over the polygon's edge normals
+        // (the rect's own axes were covered by the bounds check above)
+        const corners = [
+            [rect.left, rect.top], [rect.right, rect.top],
+            [rect.right, rect.bottom], [rect.left, rect.bottom]
+        ];
+        const { points } = shape;
+        for (let i = 0; i < points.length; i++) {
+            const [x1, y1] = points[i];
+            const [x2, y2] = points[(i + 1) % points.length];
+            const nx = y2 - y1;
+            const ny = x1 - x2;
+
+            let polyMin = Infinity, polyMax = -Infinity, rectMin = Infinity, rectMax = -Infinity;
+            for (const [x, y] of points) {
+                const d = x * nx + y * ny;
+                polyMin = Math.min(polyMin, d);
+                polyMax = Math.max(polyMax, d);
+            }
+            for (const [x, y] of corners) {
+                const d = x * nx + y * ny;
+                rectMin = Math.min(rectMin, d);
+                rectMax = Math.max(rectMax, d);
+            }
+            if (polyMax <= rectMin || rectMax <= polyMin) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Convex outline of a sprite's opaque pixels, for HITBOX_SHAPES.
+     * @param {ArrayLike<number>} alpha - One alpha value (0-255) per pixel, row by row
+     * @param {number} width
+     * @param {number} height
+     * @param {object} [options]
+     * @param {number} [options.threshold] - Alpha above this counts as solid
+     * @param {number} [options.maxPoints] - Corners are cut (never added) to get down to this
+     * @returns {number[][]} [x, y] points in sprite units around the centre (-0.5 to 0.5)
+     */
+    static traceHitbox(alpha, width, height, { threshold = 128, maxPoints = 16 } = {}) {
+        // Leftmost / rightmost solid pixel per row is enough for the hull
+        const edge = [];
+        for (let y = 0; y < height; y++) {
+            let left = -1;
+            let right = -1;
+            for (let x = 0; x < width; x++) {
+                if (alpha[y * width + x] > threshold) {
+                    if (left < 0) left = x;
+                    right = x + 1;
+                }
+            }
+            if (left >= 0) edge.push([left, y], [right, y], [left, y + 1], [right, y + 1]);
+        }
+        if (edge.length === 0) return [];
+
+        // Monotone chain hull
+        edge.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+        const half = (points) => {
+            const chain = [];
+            for (const p of points) {
+                while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], p) <= 0) chain.pop();
+                chain.push(p);
+            }
+            chain.pop();
+            return chain;
+        };
+        let hull = [...half(edge), ...half([...edge].reverse())];
+
+        // Drop the corner whose removal loses the least area until small enough.
+        // Cutting corners only ever shrinks the shape (forgiving, never unfair)
+        while (hull.length > maxPoints) {
+            let best = 0;
+            let bestArea = Infinity;
+            for (let i = 0; i < hull.length; i++) {
+                const area = Math.abs(cross(hull[(i + hull.length - 1) % hull.length], hull[i], hull[(i + 1) % hull.length]));
+                if (area < bestArea) {
+                    bestArea = area;
+                    best = i;
+                }
+            }
+            hull.splice(best, 1);
+        }
+
+        const round = (value) => Math.round(value * 1000) / 1000;
+        return hull.map(([x, y]) => [round(x / width - 0.5), round(y / height - 0.5)]);
+    }
+
+    /**
+     * Run a whole round headlessly.
+     * @param {object} options
+     * @param {number} options.seed - Obstacle seed
+     * @param {number[]} [options.flaps] - Ticks at which a flap is requested
+     * @param {{t: number, v: number}[]} [options.intensities] - Analog intensity changes by tick
+     * @param {object} [options.constants] - Overrides for GAME_CONSTANTS
+     * @param {object} [options.course] - Validated course (CourseLoader.parse)
+     * @param {number} [options.maxTicks] - Safety limit (default: 10 minutes)
+     * @returns {{score: number, ticks: number, gameOver: boolean, finished: boolean, flaps: number, obstacles: object[]}}
+     */
+    static simulate({ seed, flaps = [], intensities = [], constants, course, maxTicks = 36000 }) {
+        const core = new GameCore({ seed, constants, course });
+        const pending = [...flaps].sort((a, b) => a - b);
+        const pendingIntensities = [...intensities].sort((a, b) => a.t - b.t);
+        const layout = [];
+
+        core.onSpawn = (obs) => {
+            layout.push({ id: obs.id, tick: core.tick, gapTop: obs.gapTop, gapBottom: obs.gapBottom });
+        };
+
+        let next = 0;
+        let nextIntensity = 0;
+        while (!core.gameOver && core.tick < maxTicks) {
+            // Inputs land before the tick's physics, like input between frames
+            while (next < pending.length && pending[next] <= core.tick) {
+                core.flap();
+                next++;
+            }
+            while (nextIntensity < pendingIntensities.length && pendingIntensities[nextIntensity].t <= core.tick) {
+                core.setIntensity(pendingIntensities[nextIntensity].v);
+                nextIntensity++;
+            }
+            core.step();
+        }
+
+        return {
+            score: core.score,
+            ticks: core.tick,
+            gameOver: core.gameOver,
+            finished: core.finished,
+            flaps: core.flapCount,
+            obstacles: layout
+        };
+    }
+}
+
+// Export for the browser (game.js) and Node (parity tests, bug repro scripts)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameCore, GAME_CONSTANTS, DIFFICULTY_PRESETS, LAYOUT_PRESETS, HITBOX_SHAPES, createRandom };
+} else {
+    window.GameCore = GameCore;
+    window.GAME_CONSTANTS = GAME_CONSTANTS;
+    window.DIFFICULTY_PRESETS = DIFFICULTY_PRESETS;
+    window.LAYOUT_PRESETS = LAYOUT_PRESETS;
+    window.HITBOX_SHAPES = HITBOX_SHAPES;
+}
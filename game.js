@@ -17,49 +17,129 @@ class FlappyGame {
 
         // Overlays
         this.loadingOverlay = document.getElementById('loading-overlay');
+        this.calibrationOverlay = document.getElementById('calibration-overlay');
         this.countdownOverlay = document.getElementById('countdown-overlay');
         this.roundOverOverlay = document.getElementById('round-over-overlay');
-
-        // Face detector
+        this.replayOverOverlay = document.getElementById('replay-over-overlay');
+        this.faceLostOverlay = document.getElementById('face-lost-overlay');
+        this.pauseOverlay = document.getElementById('pause-overlay');
+        this.workoutOverlay = document.getElementById('workout-overlay');
+        this.workoutSummaryOverlay = document.getElementById('workout-summary-overlay');
+
+        // Input (see input-providers.js) - faceDetector is set when input is the camera
+        this.input = null;
+        this.defaultInputType = new URLSearchParams(window.location.search).get('input') || 'camera'; // ?input=
+        this.inputType = this.defaultInputType;
+        this.gestureId = new URLSearchParams(window.location.search).get('gesture') || 'smile';
+        this.controlMode = new URLSearchParams(window.location.search).get('control') === 'analog' ? 'analog' : 'flap';
+        this.difficulty = 'normal'; // From config (defaults / config.json / ?difficulty=)
+        this.indicatorEmoji = GESTURES.smile.emoji;
+        this.inputActive = false;
         this.faceDetector = null;
+        this.calibrator = null;
 
-        // Game constants (matching Flutter app EXACTLY)
-        this.SCREEN_WIDTH = 640;
-        this.SCREEN_HEIGHT = 480;
-        this.GRAVITY = 0.2;
-        this.FLAP_STRENGTH = -7;
-        this.OBSTACLE_SPEED = 2.5;
-        this.OBSTACLE_WIDTH = 80;
-        this.GAP_SIZE = 200;
-        this.BIRD_SIZE = 60;
-        this.BIRD_X = 150; // Fixed X position
-        this.SPAWN_DISTANCE = 300;
-        this.MIN_FLAP_INTERVAL = 500; // ms
+        // Headless simulation (physics, spawning, collision - see game-core.js)
+        this.core = new GameCore();
+        this.core.onScore = (score) => {
+            document.getElementById('score').textContent = score;
+            this.audio.play('score');
+        };
+        this.core.onCheckpoint = (label) => this.handleCheckpoint(label);
+
+        // Course (see course.js) - null = endless random pipes
+        this.course = null;
+        this.courseLoading = null;
+        this.customCourse = null; // Last course loaded from a URL or file
+        this.courseBannerTimeout = null;
+
+        // Workout mode (see exercise-session.js) - 'game' or 'workout' after start
+        this.mode = 'game';
+        this.routineId = new URLSearchParams(window.location.search).get('routine') || 'standard';
+        this.workout = null; // { session, routineId, animationId } while a set runs
+
+        // Round recording & replay (see round-recorder.js)
+        this.recorder = new RoundRecorder(this.core);
+        this.lastRecording = null;
+        this.replay = null; // { recording, input, liveConstants, returnTo } while replaying
+
+        // Fixed timestep: Flutter constants are tuned per 60fps tick, so the
+        // core always advances in 1/60s steps (SIM_STEP_MS) regardless of display rate
+        this.MAX_FRAME_TIME = 250; // ms - clamp long stalls (tab switch, GC)
+
+        // Collision debug overlay (H key / ?hitbox=1): draws what checkCollision() tests
+        this.showHitboxes = new URLSearchParams(window.location.search).get('hitbox') === '1';
+        this.spriteOutline = null; // Traced from the loaded fish image on first use
+
+        // Tuning overlay (Ctrl+Shift+D / ?diagnostics=1, see diagnostics.js)
+        this.diagnostics = new DiagnosticsOverlay(document.getElementById('diagnostics-overlay'), { core: this.core });
+        this.diagnostics.onThresholdsChange = () => this.updateThresholdMarker();
+        if (new URLSearchParams(window.location.search).get('diagnostics') === '1') this.diagnostics.show();
+
+        // Selfie view + face mesh (see camera-preview.js) - mode from config / intro picker
+        this.preview = new CameraPreview({
+            container: document.getElementById('camera-preview'),
+            video: this.videoElement,
+            canvas: document.getElementById('landmark-canvas')
+        });
 
         // Game state
-        this.birdY = this.SCREEN_HEIGHT / 2;
-        this.birdVelocity = 0;
-        this.obstacles = [];
-        this.score = 0;
         this.gameStarted = false;
         this.gameOver = false;
-        this.lastFlapTime = 0;
+
+        // Timestep state
+        this.lastFrameTime = null;
+        this.accumulator = 0;
+
+        // Face-lost auto pause
+        this.pausedForFace = false;
+        this.faceLostAt = null;
+        this.faceResumeInterval = null;
+        this.roundFaceLostMs = 0;
+
+        // Player pause (button, Escape / P, tab hidden) - see pauseGame()
+        this.countdownInterval = null;
+        this.startAttempt = 0; // Bumped by startGame() / quitGame(); a stale start gives up after its awaits
+        this.paused = false;
+        this.pausedCountdown = false; // Paused during GET READY - the countdown restarts
+        this.pauseResumeInterval = null;
+
+        // Runtime config & experiment variants (see config.js) - defaults until init() loads it
+        this.config = new GameConfig();
+        this.analytics = null; // Created in init() once the config is known
+        this.cameraId = localStorage.getItem(FlappyGame.CAMERA_KEY) || null; // Camera picker, null = default
 
         // Session state
         this.currentRound = 1;
         this.maxRounds = 3;
-        this.bestScore = 0;
+
+        // Every round on this device (see player-history.js)
+        this.history = new PlayerHistory();
+        this.roundIntensity = { sum: 0, count: 0, peak: 0 };
+
+        // Device-local top 10 (see leaderboard.js)
+        this.leaderboard = new Leaderboard();
+        this.lastLeaderboardId = null; // Highlighted row
+        this.closeNameEntry = null; // Set while the name prompt is open; closes it without saving
 
         // Assets
         this.fishImage = null;
         this.oceanImage = null;
-        this.sounds = {};
+        this.audio = new AudioManager(); // Web Audio music + effects (see audio-manager.js)
         this.assetsLoaded = false;
 
         // Animation
         this.animationId = null;
+
+        // View: logical field -> CSS pixels (see updateView), backing store at devicePixelRatio
+        this.scaleMode = 'fit'; // 'fit' (letterbox) | 'fill' (crop) | 'stretch' - from config
+        this.layout = 'landscape'; // LAYOUT_PRESETS key, picked per round
+        this.dpr = 1;
+        this.viewWidth = 0;
+        this.viewHeight = 0;
         this.scaleX = 1;
         this.scaleY = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
 
         this.init();
     }
@@ -69,8 +149,14 @@ class FlappyGame {
         this.resizeCanvas();
         window.addEventListener('resize', () => this.resizeCanvas());
 
+        // Load config (file + URL + experiment variant) alongside the assets
+        const configLoading = GameConfig.load();
+
         // Load assets
         await this.loadAssets();
+        this.config = await configLoading;
+        this.applyConfig();
+        this.setupAnalytics();
 
         // Setup event listeners
         this.setupEventListeners();
@@ -78,40 +164,77 @@ class FlappyGame {
         // Detect OS for CTA
         this.setupCTA();
 
+        // Offline support / PWA install
+        this.registerServiceWorker();
+
+        // Course from URL (?course=tutorial or ?course=path/to/course.json)
+        const courseParam = new URLSearchParams(window.location.search).get('course');
+        if (courseParam) {
+            this.selectCourse(courseParam);
+        }
+
+        // Replay from URL (?replay=path/to/recording.json)
+        const replayUrl = new URLSearchParams(window.location.search).get('replay');
+        if (replayUrl) {
+            this.loadReplayFromUrl(replayUrl);
+        }
+
         console.log('✅ Game initialized');
     }
 
     resizeCanvas() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
+        // Backing store in device pixels (crisp on retina), CSS keeps it full screen.
+        // Capped at 3x - more only costs fill rate
+        this.dpr = Math.min(window.devicePixelRatio || 1, 3);
+        this.viewWidth = window.innerWidth;
+        this.viewHeight = window.innerHeight;
+        this.canvas.width = Math.round(this.viewWidth * this.dpr);
+        this.canvas.height = Math.round(this.viewHeight * this.dpr);
+        this.render(); // Resizing clears the canvas - redraw (e.g. while paused)
+    }
 
-        // Use INDEPENDENT scaling to fill the screen (Fill/Stretch) across logic (640x480)
-        // This stops "cropping" and ensures full screen play
-        this.scaleX = this.canvas.width / this.SCREEN_WIDTH;
-        this.scaleY = this.canvas.height / this.SCREEN_HEIGHT;
+    /**
+     * Map the logical field (core SCREEN_WIDTH x SCREEN_HEIGHT - it changes with
+     * the layout and with replays) onto the window:
+     * - fit: uniform scale, whole field visible, letterbox bars around it
+     * - fill: uniform scale, covers the window, field edges cropped
+     * - stretch: X and Y scaled independently (the original full screen look)
+     */
+    updateView() {
+        const { SCREEN_WIDTH: width, SCREEN_HEIGHT: height } = this.core;
+        let scaleX = this.viewWidth / width;
+        let scaleY = this.viewHeight / height;
+        if (this.scaleMode !== 'stretch') {
+            scaleX = scaleY = this.scaleMode === 'fill' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+        }
+        this.scaleX = scaleX;
+        this.scaleY = scaleY;
+        this.offsetX = (this.viewWidth - width * scaleX) / 2;
+        this.offsetY = (this.viewHeight - height * scaleY) / 2;
+    }
 
-        // Remove uniform offsets
-        this.uniformScale = null;
-        this.offsetX = 0;
-        this.offsetY = 0;
+    /** Portrait field on portrait screens (config layout 'auto'), decided per round. */
+    pickLayout() {
+        // Courses place gaps at absolute gapTop values on the 480px landscape field
+        // (and are validated against it), so they always play landscape
+        if (this.course) return 'landscape';
+
+        const layout = this.config.values.layout;
+        if (layout !== 'auto') return layout;
+        return window.innerHeight > window.innerWidth ? 'portrait' : 'landscape';
+    }
+
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('sw.js')
+            .then(() => console.log('✅ Service worker registered (offline after first visit)'))
+            .catch((error) => console.warn('⚠️ Service worker registration failed:', error));
     }
 
     async loadAssets() {
         return new Promise((resolve) => {
             let loaded = 0;
-            const soundFiles = {
-                'jump': 'assets/jump.mp3',
-                'bgm': 'assets/bgm.mp3'
-            };
-            const imageTotal = 2;
-            const soundTotal = Object.keys(soundFiles).length;
-            // Only require images to resolve initial load, sounds can be async/non-blocking or included.
-            // Let's require all for simplicity.
-            // Actually, waiting for sounds might delay startup. 
-            // Better to load images and resolve, while sounds load in background?
-            // Or just check images. User wants sounds. Let's wait for images only to resolve 'assetsLoaded', 
-            // but initiate sound loading.
-
             const total = 2; // Verify images only for game start readiness
 
             const checkComplete = () => {
@@ -134,50 +257,190 @@ class FlappyGame {
             this.oceanImage.onerror = checkComplete;
             this.oceanImage.src = 'assets/ocean_image_with_alpha.png';
 
-            // Load sounds (fire and forget for promise, or store them)
-            for (const [key, src] of Object.entries(soundFiles)) {
-                const audio = new Audio();
-                audio.src = src;
-                if (key === 'bgm') {
-                    audio.loop = true;
-                    audio.volume = 0.5;
-                }
-                this.sounds[key] = audio;
-            }
+            // Sounds decode in the background - they don't hold up the intro screen
+            this.audio.load(SOUND_FILES);
         });
     }
 
-    playSound(name) {
-        if (this.sounds[name]) {
-            if (name === 'bgm') {
-                this.sounds[name].play().catch(() => { });
-                return;
-            }
-            // Clone for overlapping SFX
-            const clone = this.sounds[name].cloneNode();
-            clone.volume = 1.0;
-            clone.play().catch(() => { });
+    /** Sync the intro volume slider and the in-game mute button with the audio settings. */
+    renderAudioControls() {
+        const { volume, muted } = this.audio;
+        document.getElementById('volume-slider').value = Math.round(volume * 100);
+        const icon = muted || volume === 0 ? '🔇' : '🔊';
+        document.getElementById('mute-btn').textContent = icon;
+        document.getElementById('intro-mute-btn').textContent = icon;
+    }
+
+    applyConfig() {
+        const { values } = this.config;
+        this.maxRounds = values.maxRounds;
+        document.getElementById('max-rounds').textContent = this.maxRounds;
+        this.difficulty = values.difficulty;
+        this.scaleMode = values.scaleMode;
+        this.preview.setMode(values.preview);
+        document.querySelector('#start-btn .btn-subtitle').textContent =
+            `${this.maxRounds} free round${this.maxRounds === 1 ? '' : 's'}`;
+    }
+
+    /** Config thresholds on top of the gesture's, or null if none are configured. */
+    configuredThresholds() {
+        const { triggerThreshold, resetThreshold } = this.config.values;
+        if (triggerThreshold === null && resetThreshold === null) return null;
+
+        const gesture = this.faceDetector.gesture;
+        const thresholds = {
+            triggerThreshold: triggerThreshold ?? gesture.triggerThreshold,
+            resetThreshold: resetThreshold ?? gesture.resetThreshold
+        };
+        if (thresholds.resetThreshold >= thresholds.triggerThreshold) {
+            console.warn('⚠️ Configured thresholds overlap the gesture defaults - ignoring them');
+            return null;
         }
+        return thresholds;
     }
 
-    stopBGM() {
-        if (this.sounds['bgm']) {
-            this.sounds['bgm'].pause();
-            this.sounds['bgm'].currentTime = 0;
+    setupAnalytics() {
+        const { gtagId, beaconUrl } = this.config.values;
+        const sinks = [new ConsoleSink()];
+        if (gtagId) sinks.push(new GtagSink(gtagId));
+        if (beaconUrl) sinks.push(new BeaconSink(beaconUrl));
+
+        // Every event carries the visitor's experiment variants
+        this.analytics = new Analytics({ sinks, context: this.config.experimentParams });
+
+        const banner = document.getElementById('consent-banner');
+        const answer = (consent) => {
+            this.analytics.setConsent(consent);
+            banner.classList.add('hidden');
+        };
+        document.getElementById('consent-accept-btn').addEventListener('click', () => answer(CONSENT.GRANTED));
+        document.getElementById('consent-decline-btn').addEventListener('click', () => answer(CONSENT.DENIED));
+
+        const privacyBtn = document.getElementById('privacy-btn');
+        privacyBtn.classList.toggle('hidden', this.analytics.deferredSinks.length === 0);
+        privacyBtn.addEventListener('click', () => banner.classList.remove('hidden'));
+
+        if (this.analytics.consent === CONSENT.UNKNOWN && this.analytics.deferredSinks.length > 0) {
+            banner.classList.remove('hidden');
         }
     }
 
     logEvent(name, params = {}) {
-        if (typeof gtag === 'function') {
-            gtag('event', name, params);
-            console.log(`📊 Event: ${name}`, params);
-        }
+        if (!this.analytics) return; // Before init() - nothing to report yet
+        this.analytics.track(name, params);
     }
 
     setupEventListeners() {
+        // Gesture picker (which facial exercise drives the fish)
+        const gestureSelect = document.getElementById('gesture-select');
+        for (const [id, gesture] of Object.entries(GESTURES)) {
+            gestureSelect.add(new Option(`${gesture.emoji} ${gesture.label}`, id));
+        }
+        if (!GESTURES[this.gestureId]) this.gestureId = 'smile';
+        gestureSelect.value = this.gestureId;
+        gestureSelect.addEventListener('change', () => {
+            this.gestureId = gestureSelect.value;
+        });
+
+        // Control mode picker (flap vs. analog hold-to-rise)
+        const controlSelect = document.getElementById('control-select');
+        controlSelect.value = this.controlMode;
+        controlSelect.addEventListener('change', () => {
+            this.controlMode = controlSelect.value;
+        });
+
+        // Difficulty preset (see DIFFICULTY_PRESETS in game-core.js)
+        const difficultySelect = document.getElementById('difficulty-select');
+        for (const [id, preset] of Object.entries(DIFFICULTY_PRESETS)) {
+            difficultySelect.add(new Option(`${preset.emoji} ${preset.label}`, id));
+        }
+        if (!DIFFICULTY_PRESETS[this.difficulty]) this.difficulty = 'normal';
+        difficultySelect.value = this.difficulty;
+        difficultySelect.addEventListener('change', () => {
+            this.difficulty = difficultySelect.value;
+        });
+
+        // Scaling policy (see updateView) - applies on the next frame
+        const scaleSelect = document.getElementById('scale-select');
+        scaleSelect.value = this.scaleMode;
+        scaleSelect.addEventListener('change', () => {
+            this.scaleMode = scaleSelect.value;
+            this.render();
+        });
+
+        const previewSelect = document.getElementById('preview-select');
+        previewSelect.value = this.preview.mode;
+        previewSelect.addEventListener('change', () => this.preview.setMode(previewSelect.value));
+
+        // Course picker (endless or a built-in course from COURSE_LIBRARY)
+        const courseSelect = document.getElementById('course-select');
+        courseSelect.add(new Option('♾️ Endless', ''));
+        for (const [id, entry] of Object.entries(COURSE_LIBRARY)) {
+            courseSelect.add(new Option(`${entry.emoji} ${entry.label}`, id));
+        }
+        courseSelect.addEventListener('change', () => {
+            this.selectCourse(courseSelect.value);
+        });
+
+        // Workout routine picker
+        const routineSelect = document.getElementById('routine-select');
+        for (const [id, routine] of Object.entries(EXERCISE_ROUTINES)) {
+            routineSelect.add(new Option(`${routine.emoji} ${routine.label}`, id));
+        }
+        if (!EXERCISE_ROUTINES[this.routineId]) this.routineId = 'standard';
+        routineSelect.value = this.routineId;
+        routineSelect.addEventListener('change', () => {
+            this.routineId = routineSelect.value;
+        });
+
         // Start button
         document.getElementById('start-btn').addEventListener('click', () => {
-            this.startGame();
+            this.startGame(this.defaultInputType, 'game');
+        });
+
+        document.getElementById('workout-btn').addEventListener('click', () => {
+            this.startGame(this.defaultInputType, 'workout');
+        });
+
+        // Camera picker (several webcams, front / back phone cameras)
+        const cameraSelect = document.getElementById('camera-select');
+        cameraSelect.addEventListener('change', () => this.setCamera(cameraSelect.value));
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.renderCameras());
+        }
+        this.renderCameras();
+
+        // Camera failure: try again (same mode), or back to the intro to pick another camera
+        document.getElementById('camera-retry-btn').addEventListener('click', () => {
+            this.startGame('camera', this.mode);
+        });
+        document.getElementById('camera-back-btn').addEventListener('click', () => {
+            this.loadingOverlay.classList.add('hidden');
+            this.loadingOverlay.classList.remove('failed');
+            this.gameScreen.classList.remove('active');
+            this.introScreen.classList.add('active');
+        });
+
+        // Alternative input buttons (intro screen + camera failure fallback,
+        // which keeps the mode that was being started)
+        document.querySelectorAll('[data-input]').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                const fromIntro = !!btn.closest('#intro-screen');
+                this.startGame(btn.dataset.input, fromIntro ? 'game' : this.mode);
+            });
+        });
+
+        // Workout buttons
+        document.getElementById('workout-stop-btn').addEventListener('click', () => {
+            this.closeWorkout(true);
+        });
+
+        document.getElementById('workout-done-btn').addEventListener('click', () => {
+            this.closeWorkout(false);
+        });
+
+        document.getElementById('workout-again-btn').addEventListener('click', () => {
+            this.beginWorkout();
         });
 
         // Next round button
@@ -192,7 +455,7 @@ class FlappyGame {
             ctaReplay.addEventListener('click', () => {
                 console.log('🔄 Play Again clicked! Restarting game...');
                 this.currentRound = 1;
-                this.startGame();
+                this.startGame(this.inputType, 'game');
             });
         } else {
             console.warn('⚠️ CTA Replay button NOT found!');
@@ -211,11 +474,143 @@ class FlappyGame {
             this.quitGame();
         });
 
+        // Pause: button, Escape / P (again to resume), and whenever the tab / app goes away
+        document.getElementById('pause-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.pauseGame('button');
+        });
+        document.getElementById('resume-btn').addEventListener('click', () => this.resumeGame());
+        document.getElementById('pause-quit-btn').addEventListener('click', () => this.quitGame());
+        window.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape' && e.key !== 'p' && e.key !== 'P') return;
+            if (e.target.closest?.('input, select, textarea')) return;
+            if (this.paused) {
+                this.resumeGame();
+            } else {
+                this.pauseGame('key');
+            }
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.pauseGame('hidden');
+        });
+        window.addEventListener('pagehide', () => this.pauseGame('pagehide'));
+
+        // Sound: in-game mute, intro mute + volume, M key (saved - see audio-manager.js)
+        const toggleMute = () => {
+            this.audio.setMuted(!this.audio.muted);
+            this.renderAudioControls();
+        };
+        document.getElementById('mute-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleMute();
+        });
+        document.getElementById('intro-mute-btn').addEventListener('click', toggleMute);
+        document.getElementById('volume-slider').addEventListener('input', (e) => {
+            this.audio.setVolume(Number(e.target.value) / 100);
+            this.renderAudioControls();
+        });
+        window.addEventListener('keydown', (e) => {
+            if ((e.key === 'm' || e.key === 'M') && !e.target.closest?.('input, select, textarea')) toggleMute();
+        });
+        this.renderAudioControls();
+
+        window.addEventListener('keydown', (e) => {
+            if ((e.key !== 'h' && e.key !== 'H') || e.target.closest?.('input, select, textarea')) return;
+            this.showHitboxes = !this.showHitboxes;
+            console.log(`🎯 Hitbox overlay ${this.showHitboxes ? 'on' : 'off'}`);
+            if (this.gameStarted) this.render(); // Also shows while paused
+        });
+        window.addEventListener('keydown', (e) => {
+            if (!e.ctrlKey || !e.shiftKey || e.code !== 'KeyD') return;
+            e.preventDefault(); // Bookmark-all-tabs in some browsers
+            this.diagnostics.toggle();
+        });
+
         // Quit overlay button
         document.getElementById('quit-overlay-btn').addEventListener('click', () => {
             this.quitGame();
         });
 
+        document.getElementById('face-lost-quit-btn').addEventListener('click', () => {
+            this.quitGame();
+        });
+
+        // Player history (CTA stats panel)
+        document.getElementById('stats-export-btn').addEventListener('click', () => {
+            this.history.download();
+        });
+
+        document.getElementById('stats-clear-btn').addEventListener('click', () => {
+            if (!confirm('Delete all rounds stored on this device?')) return;
+            this.history.clear();
+            this.renderStats();
+            this.logEvent('history_clear');
+        });
+
+        // Leaderboard export / import (merging kiosks)
+        document.getElementById('leaderboard-export-btn').addEventListener('click', () => {
+            this.leaderboard.download();
+        });
+
+        const importInput = document.getElementById('leaderboard-import-input');
+        document.getElementById('leaderboard-import-btn').addEventListener('click', () => {
+            importInput.click();
+        });
+        importInput.addEventListener('change', () => {
+            if (importInput.files[0]) this.importLeaderboard(importInput.files[0]);
+            importInput.value = '';
+        });
+
+        // Replay buttons
+        document.getElementById('watch-replay-btn').addEventListener('click', () => {
+            if (this.lastRecording) this.playReplay(this.lastRecording, 'round-over');
+        });
+
+        document.getElementById('save-replay-btn').addEventListener('click', () => {
+            if (this.lastRecording) RoundRecorder.download(this.lastRecording);
+        });
+
+        document.getElementById('replay-again-btn').addEventListener('click', () => {
+            this.playReplay(this.replay.recording, this.replay.returnTo);
+        });
+
+        document.getElementById('replay-close-btn').addEventListener('click', () => {
+            this.closeReplay();
+        });
+
+        // Calibration buttons
+        document.getElementById('calibration-skip-btn').addEventListener('click', () => {
+            if (this.calibrator) this.calibrator.cancel();
+        });
+
+        document.getElementById('calibration-reset-btn').addEventListener('click', () => {
+            SmileCalibrator.clear(this.gestureId);
+            if (this.calibrator) this.calibrator.cancel();
+            if (this.faceDetector) this.applyCalibration(null);
+        });
+
+        // Drop a recording .json anywhere on the page to replay it,
+        // or a course .json to play it
+        document.addEventListener('dragover', (e) => e.preventDefault());
+        document.addEventListener('drop', (e) => {
+            e.preventDefault();
+            // Not while a round runs or counts down (gameStarted is still false during GET READY)
+            const busy = () => this.gameStarted || this.countdownInterval || this.gameScreen.classList.contains('active');
+            const file = e.dataTransfer.files[0];
+            if (!file || busy()) return;
+            file.text()
+                .then((text) => {
+                    if (busy()) return;
+                    const data = JSON.parse(text);
+                    if (CourseLoader.isCourse(data)) {
+                        this.selectCourse(data);
+                    } else {
+                        this.playReplay(data, 'intro');
+                    }
+                })
+                .catch((error) => console.error('❌ Invalid recording:', error));
+        });
+
         // CTA Buttons tracking
         const trackDownload = (platform) => this.logEvent('download_click', { platform });
 
@@ -279,7 +674,22 @@ class FlappyGame {
     }
 
     quitGame() {
+        this.clearPause();
+        if (this.replay) {
+            this.closeReplay();
+            return;
+        }
+        if (this.workout) {
+            this.closeWorkout(true);
+            return;
+        }
+
         console.log('🛑 User quit game');
+        this.startAttempt++; // A start still loading its input is abandoned
+        if (this.calibrator) this.calibrator.cancel();
+        // A round still being played counts for the history (its score is real);
+        // after a crash it was already recorded by handleGameOver()
+        if (this.gameStarted && !this.core.gameOver) this.recordRoundHistory(true);
         this.gameStarted = false;
         this.gameOver = true;
 
@@ -290,35 +700,38 @@ class FlappyGame {
 
         if (this.countdownInterval) {
             clearInterval(this.countdownInterval);
+            this.countdownInterval = null;
         }
+        this.clearFacePause();
 
         // Hide game, show CTA
         this.gameScreen.classList.remove('active');
         this.roundOverOverlay.classList.remove('active'); // In case it was open
         this.introScreen.classList.remove('active'); // Just in case
+        if (this.closeNameEntry) this.closeNameEntry(); // Entry dropped, round result never shown
 
         this.showCTAScreen();
-        this.stopBGM();
-        this.logEvent('game_quit', { score: this.score, round: this.currentRound });
+        this.logEvent('game_quit', { score: this.core.score, round: this.currentRound, difficulty: this.difficulty });
     }
 
-    async startGame() {
-        console.log('🎮 startGame() called');
+    async startGame(inputType = this.inputType, mode = this.mode) {
+        console.log(`🎮 startGame() called (input: ${inputType}, mode: ${mode})`);
+        this.inputType = inputType;
+        this.mode = mode;
+        const attempt = ++this.startAttempt;
+        const abandoned = () => attempt !== this.startAttempt;
+
+        // A course picked just before pressing start may still be loading
+        if (this.courseLoading) await this.courseLoading;
+        if (abandoned()) return;
 
         // Reset flags & State immediately
         this.gameOver = false;
         this.gameStarted = false;
-        this.score = 0;
-        this.obstacles = [];
-        this.birdY = this.SCREEN_HEIGHT / 2;
-        this.birdVelocity = 0;
+        this.resetCore();
 
-        // Stop any existing face detector
-        if (this.faceDetector) {
-            console.log('🛑 Stopping existing face detector');
-            this.faceDetector.stop();
-            this.faceDetector = null;
-        }
+        // Stop any existing input provider (face detector etc.)
+        this.stopInput();
 
         // Cancel any existing animation frame
         if (this.animationId) {
@@ -331,12 +744,12 @@ class FlappyGame {
             clearInterval(this.countdownInterval);
             this.countdownInterval = null;
         }
+        this.clearFacePause();
+        this.clearPause();
+        this.showFramingHint(null);
 
-        // Clear canvas
-        if (this.ctx && this.canvas) {
-            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-            this.drawFish(); // Draw fish at start position
-        }
+        // Clear canvas, fish at start position
+        this.render();
 
         // Update UI
         document.getElementById('score').textContent = '0';
@@ -349,241 +762,815 @@ class FlappyGame {
         this.gameScreen.classList.add('active');
 
         // Show loading
-        this.loadingOverlay.classList.remove('hidden');
+        this.loadingOverlay.classList.remove('hidden', 'failed');
         document.getElementById('loading-text').textContent = 'Initializing camera...';
 
         try {
-            // Initialize face detection
-            console.log('🔍 Creating new FaceDetector');
-            this.faceDetector = new FaceDetector();
-
-            document.getElementById('loading-text').textContent = 'Loading face detection...';
-            await this.faceDetector.initialize(this.videoElement);
-            console.log('✅ FaceDetector initialized');
-
-            // Set up smile callback
-            this.faceDetector.onSmileChange = (isSmiling) => {
-                if (isSmiling) {
-                    this.flap();
-                }
-            };
+            const input = await this.createInputProvider(inputType);
+            // Quit (or restarted) while the provider was loading
+            if (abandoned()) {
+                input.stop();
+                return;
+            }
+            this.input = input;
+            this.connectInput(this.input);
+
+            if (this.faceDetector) {
+                document.getElementById('loading-text').textContent = 'Loading face detection...';
+            }
+            await this.input.start({ videoElement: this.videoElement, element: this.gameScreen });
+            if (abandoned()) return; // quitGame() already stopped it
+            console.log(`✅ Input ready: ${this.input.type}`);
 
             // Hide loading
             this.loadingOverlay.classList.add('hidden');
 
+            // Personal thresholds (saved, or freshly calibrated on request)
+            if (this.faceDetector) {
+                const canCalibrate = this.faceDetector.gesture.calibratable !== false;
+                this.applyCalibration(canCalibrate ? SmileCalibrator.load(this.gestureId) : null);
+                if (canCalibrate && document.getElementById('calibrate-toggle').checked) {
+                    await this.runCalibration();
+                }
+                if (this.gameOver) return; // Quit during calibration
+            }
+
+            if (this.mode === 'workout') {
+                this.beginWorkout();
+                return;
+            }
+
             // Start countdown
             console.log('⏱️ Starting countdown');
             this.startCountdown();
 
         } catch (error) {
+            if (abandoned()) return;
             console.error('Failed to start game:', error);
-            document.getElementById('loading-text').textContent =
-                'Camera access denied. Please allow camera and refresh.';
+            this.stopInput();
+            if (FlappyGame.INPUT_ERRORS[error.kind]) {
+                this.showInputError(error);
+            } else {
+                this.showCameraError(error.kind || 'unknown');
+            }
         }
     }
 
-    startCountdown() {
-        this.countdownOverlay.classList.remove('hidden');
-        const countdownNumber = document.getElementById('countdown-number');
-        let count = 3;
+    /** Specific reason + fix steps, with Retry and keyboard / touch instead of leaving the user stuck. */
+    showCameraError(kind) {
+        const info = FaceDetector.ERRORS[kind] || FaceDetector.ERRORS.unknown;
+        this.logEvent('camera_error', { kind: kind, camera: this.cameraId ? 'picked' : 'default' });
 
-        countdownNumber.textContent = count;
+        // The picked camera is gone - Retry falls back to the default one
+        if ((kind === 'overconstrained' || kind === 'not-found') && this.cameraId) {
+            this.setCamera(null);
+        }
 
-        this.countdownInterval = setInterval(() => {
+        this.renderStartError(info, info.steps);
+    }
+
+    /** Non-camera provider failures (FlappyGame.INPUT_ERRORS), with the underlying reason. */
+    showInputError(error) {
+        const info = FlappyGame.INPUT_ERRORS[error.kind];
+        this.logEvent('input_error', { input: this.inputType, kind: error.kind });
+        this.renderStartError(info, [...info.steps, `Details: ${error.cause.message}`]);
+    }
+
+    renderStartError(info, steps) {
+        document.getElementById('loading-text').textContent = `⚠️ ${info.title}`;
+        document.getElementById('camera-error-steps').replaceChildren(...steps.map((step) => {
+            const item = document.createElement('li');
+            item.textContent = step;
+            return item;
+        }));
+        document.getElementById('camera-retry-btn').classList.toggle('hidden', !info.retry);
+        this.loadingOverlay.classList.add('failed');
+    }
+
+    /** Fill the camera picker; only shown when there's more than one camera. */
+    async renderCameras() {
+        const cameras = await FaceDetector.listCameras();
+        const select = document.getElementById('camera-select');
+        select.replaceChildren(
+            new Option('Default camera', ''),
+            ...cameras.map((camera, i) => new Option(camera.label || `Camera ${i + 1}`, camera.deviceId))
+        );
+        select.value = cameras.some(camera => camera.deviceId === this.cameraId) ? this.cameraId : '';
+        document.getElementById('camera-option').classList.toggle('hidden', cameras.length < 2);
+    }
+
+    setCamera(deviceId) {
+        this.cameraId = deviceId || null;
+        if (this.cameraId) {
+            localStorage.setItem(FlappyGame.CAMERA_KEY, this.cameraId);
+        } else {
+            localStorage.removeItem(FlappyGame.CAMERA_KEY);
+        }
+    }
+
+    async runCalibration() {
+        const title = document.getElementById('calibration-title');
+        const instruction = document.getElementById('calibration-instruction');
+        const progressFill = document.getElementById('calibration-progress-fill');
+
+        const gesture = this.faceDetector.gesture;
+        this.calibrator = new SmileCalibrator(this.faceDetector);
+        this.calibrationOverlay.classList.remove('hidden');
+
+        try {
+            const calibration = await this.calibrator.run({
+                onPhase: (phase) => {
+                    title.textContent = phase === 'neutral'
+                        ? '😐 Relax your face'
+                        : `${gesture.emoji} Now ${gesture.action}!`;
+                    instruction.textContent = phase === 'neutral'
+                        ? 'Keep a neutral expression and look at the screen'
+                        : 'Hold it as strongly as you can until the bar is full';
+                },
+                onProgress: (progress) => {
+                    progressFill.style.width = `${progress * 100}%`;
+                }
+            });
+
+            // Quit mid-calibration: nothing to save, and no detector to apply it to
+            if (this.gameOver || !this.faceDetector) return;
+
+            this.logEvent('calibration_result', {
+                outcome: calibration ? 'calibrated' : 'skipped',
+                gesture: this.gestureId,
+                trigger_threshold: calibration ? calibration.triggerThreshold : null
+            });
+
+            if (calibration) {
+                SmileCalibrator.save(calibration, this.gestureId);
+                this.applyCalibration(calibration);
+                title.textContent = '✅ Calibrated!';
+                instruction.textContent =
+                    `${gesture.label} triggers at ${Math.round(calibration.triggerThreshold * 100)}%`;
+                await new Promise((resolve) => setTimeout(resolve, 1500));
+            }
+        } catch (error) {
+            if (this.gameOver) return;
+            console.warn('⚠️ Calibration failed:', error);
+            this.logEvent('calibration_result', { outcome: 'failed', gesture: this.gestureId, reason: error.message });
+            title.textContent = '⚠️ Calibration failed';
+            instruction.textContent = `${error.message}. Using default thresholds.`;
+            await new Promise((resolve) => setTimeout(resolve, 2000));
+        } finally {
+            this.calibrator = null;
+            this.calibrationOverlay.classList.add('hidden');
+        }
+    }
+
+    applyCalibration(calibration) {
+        // Personal calibration > config > gesture defaults
+        const thresholds = calibration || this.configuredThresholds() || this.faceDetector.gesture;
+        this.faceDetector.setThresholds(thresholds);
+
+        // Move the marker on the smile bar to the active trigger threshold
+        this.updateThresholdMarker();
+    }
+
+    async createInputProvider(type) {
+        switch (type) {
+            case 'keyboard':
+                return new KeyboardInputProvider();
+            case 'pointer':
+                return new PointerInputProvider();
+            case 'scripted': {
+                // ?input=scripted&script=url - a script array or a saved recording
+                const url = new URLSearchParams(window.location.search).get('script');
+                if (!url) {
+                    throw FlappyGame.inputFailure('script-missing', new Error('?input=scripted needs &script=<url>'));
+                }
+                try {
+                    const response = await fetch(url);
+                    if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+                    const data = await response.json();
+                    return Array.isArray(data)
+                        ? new ScriptedInputProvider(data)
+                        : ScriptedInputProvider.fromRecording(RoundRecorder.parse(data));
+                } catch (cause) {
+                    throw FlappyGame.inputFailure('script', cause);
+                }
+            }
+            case 'camera':
+            default:
+                console.log('🔍 Creating new FaceDetector');
+                // ?worker=off keeps inference on the main thread (debugging / comparison)
+                this.faceDetector = new FaceDetector({
+                    useWorker: new URLSearchParams(window.location.search).get('worker') !== 'off',
+                    deviceId: this.cameraId
+                });
+                this.faceDetector.setGesture(this.gestureId);
+                if (this.config.values.bufferSize !== null) {
+                    this.faceDetector.setBufferSize(this.config.values.bufferSize);
+                }
+                this.connectFaceTracking(this.faceDetector);
+                this.diagnostics.attach(this.faceDetector);
+                this.preview.attach(this.faceDetector);
+                this.indicatorEmoji = this.faceDetector.gesture.emoji;
+                return this.faceDetector;
+        }
+    }
+
+    connectInput(input) {
+        input.onFlap = () => {
+            // Live input is ignored while a replay drives the game
+            if (!this.replay) this.flap();
+        };
+        input.onIntensity = (intensity, active) => {
+            if (this.workout) {
+                this.workout.session.handleIntensity(intensity, active, performance.now());
+                this.renderInputIntensity(intensity, active);
+                return;
+            }
+            if (this.replay) return;
+            if (this.core.CONTROL_MODE === 'analog') {
+                // Continuous thrust: the quantized value the core uses is what gets recorded
+                if (this.gameStarted && !this.gameOver) {
+                    this.recorder.recordIntensity(this.core.setIntensity(intensity), active);
+                }
+            } else if (active !== this.inputActive && this.gameStarted) {
+                this.recorder.recordSmile(active, intensity);
+            }
+            if (this.gameStarted && !this.gameOver && !this.pausedForFace) {
+                this.roundIntensity.sum += intensity;
+                this.roundIntensity.count++;
+                this.roundIntensity.peak = Math.max(this.roundIntensity.peak, intensity);
+            }
+            this.inputActive = active;
+            this.renderInputIntensity(intensity, active);
+        };
+    }
+
+    connectFaceTracking(detector) {
+        detector.onFaceLost = () => this.handleFaceLost();
+        detector.onFaceFound = () => this.handleFaceFound();
+        detector.onFramingHint = (hint) => this.showFramingHint(hint);
+        detector.onConfigChange = (report) => this.logEvent('detector_config', report);
+        detector.onCameraResult = (result, error) => {
+            this.logEvent('camera_permission', { result: result, error: error ? error.name : null });
+            if (result === 'granted') this.renderCameras(); // Labels / ids only show up now
+        };
+        detector.onModelLoaded = ({ loadMs, backend, delegate }) => this.logEvent('model_loaded', {
+            load_ms: loadMs,
+            backend: backend,
+            delegate: delegate
+        });
+    }
+
+    showFramingHint(hint) {
+        const text = hint ? FaceDetector.FRAMING_HINTS[hint] : '';
+        const toast = document.getElementById('framing-hint');
+        toast.textContent = text;
+        toast.classList.toggle('hidden', !text);
+        document.getElementById('face-lost-hint').textContent = text;
+    }
+
+    handleFaceLost() {
+        if (this.workout) {
+            this.workout.session.pause(performance.now());
+            if (this.faceLostAt === null) this.faceLostAt = performance.now();
+            return;
+        }
+        if (!this.gameStarted || this.gameOver || this.replay) return;
+
+        const message = document.getElementById('face-lost-message');
+        const countdown = document.getElementById('face-lost-countdown');
+        message.textContent = 'Bring your face back into view';
+        countdown.textContent = '';
+
+        // Lost again during the resume countdown: back to waiting
+        if (this.pausedForFace) {
+            clearInterval(this.faceResumeInterval);
+            this.faceResumeInterval = null;
+            return;
+        }
+
+        console.log('⏸️ Face lost - pausing round');
+        this.pausedForFace = true;
+        this.faceLostAt = performance.now();
+
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        this.faceLostOverlay.classList.remove('hidden');
+    }
+
+    handleFaceFound() {
+        if (this.workout) {
+            this.workout.session.resume(performance.now());
+            this.logFaceLost(true);
+            return;
+        }
+        if (!this.pausedForFace || this.faceResumeInterval) return;
+
+        // Short countdown so the player can settle before the fish moves again
+        const countdown = document.getElementById('face-lost-countdown');
+        document.getElementById('face-lost-message').textContent = 'Welcome back! Get ready...';
+        let count = 3;
+        countdown.textContent = count;
+
+        this.faceResumeInterval = setInterval(() => {
             count--;
             if (count > 0) {
-                countdownNumber.textContent = count;
-            } else {
-                clearInterval(this.countdownInterval);
-                this.countdownOverlay.classList.add('hidden');
-                // Only start if not quit
-                if (!this.gameOver) {
-                    this.beginGameplay();
-                }
+                countdown.textContent = count;
+                return;
             }
-        }, 1000);
+            clearInterval(this.faceResumeInterval);
+            this.faceResumeInterval = null;
+            this.resumeAfterFaceFound();
+        }, 600);
     }
 
-    beginGameplay() {
-        // Reset game state
-        this.birdY = this.SCREEN_HEIGHT / 2;
-        this.birdVelocity = 0;
-        this.obstacles = [];
-        this.score = 0;
-        this.gameStarted = true;
-        this.gameOver = false;
+    resumeAfterFaceFound() {
+        console.log('▶️ Face back - resuming round');
+        this.roundFaceLostMs += performance.now() - this.faceLostAt;
+        this.logFaceLost(true);
+        this.pausedForFace = false;
+        this.faceLostOverlay.classList.add('hidden');
+
+        // Restart timing so the pause isn't simulated as one long frame
+        this.lastFrameTime = null;
+        this.accumulator = 0;
+        this.animationId = requestAnimationFrame((time) => this.gameLoop(time));
+    }
 
-        // Update UI
-        document.getElementById('score').textContent = '0';
-        document.getElementById('current-round').textContent = this.currentRound;
+    clearFacePause() {
+        if (this.faceResumeInterval) {
+            clearInterval(this.faceResumeInterval);
+            this.faceResumeInterval = null;
+        }
+        this.logFaceLost(false); // Round / workout ended while the face was away
+        this.pausedForFace = false;
+        this.faceLostOverlay.classList.add('hidden');
+    }
 
-        // Start game loop
-        this.gameLoop();
-        this.playSound('bgm');
-        this.logEvent('game_start', { round: this.currentRound });
+    /** Something on the game screen is running that a pause would freeze. */
+    get canPause() {
+        if (this.paused || !this.gameScreen.classList.contains('active')) return false;
+        return !!this.workout || this.countdownInterval !== null || (this.gameStarted && !this.gameOver);
     }
 
-    flap() {
-        const now = Date.now();
-        if (now - this.lastFlapTime < this.MIN_FLAP_INTERVAL) return;
-        if (!this.gameStarted || this.gameOver) return;
+    /**
+     * Freeze game loop, detection, countdowns and audio together.
+     * @param {string} reason - 'button' | 'key' | 'hidden' | 'pagehide'
+     */
+    pauseGame(reason) {
+        if (!this.canPause) return;
+        console.log(`⏸️ Paused (${reason})`);
+        this.paused = true;
 
-        this.birdVelocity = this.FLAP_STRENGTH;
-        this.lastFlapTime = now;
-        this.playSound('jump');
-        console.log('🐟 Flap!');
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        if (this.countdownInterval) {
+            clearInterval(this.countdownInterval);
+            this.countdownInterval = null;
+            this.countdownOverlay.classList.add('hidden');
+            this.pausedCountdown = true;
+        }
+        // Face-lost countdown starts over once the face is seen after resuming
+        if (this.faceResumeInterval) {
+            clearInterval(this.faceResumeInterval);
+            this.faceResumeInterval = null;
+        }
+        this.faceLostOverlay.classList.add('hidden');
+
+        if (this.workout) this.workout.session.pause(performance.now());
+        if (this.input) this.input.pause();
+        this.audio.suspend('pause');
+
+        document.getElementById('pause-countdown').textContent = '';
+        this.pauseOverlay.classList.remove('hidden');
+        this.logEvent('game_pause', { reason: reason, mode: this.mode, round: this.currentRound, score: this.core.score });
     }
 
-    gameLoop() {
-        if (!this.gameStarted) return;
+    /** Short countdown, then everything picks up where it stopped. */
+    resumeGame() {
+        if (!this.paused || this.pauseResumeInterval) return;
 
-        this.update();
-        this.render();
+        const countdown = document.getElementById('pause-countdown');
+        let count = 3;
+        countdown.textContent = count;
 
-        if (this.gameOver) {
-            this.handleGameOver();
+        this.pauseResumeInterval = setInterval(() => {
+            count--;
+            if (count > 0) {
+                countdown.textContent = count;
+                return;
+            }
+            clearInterval(this.pauseResumeInterval);
+            this.pauseResumeInterval = null;
+            this.finishResume();
+        }, 600);
+    }
+
+    finishResume() {
+        console.log('▶️ Resumed');
+        this.paused = false;
+        this.pauseOverlay.classList.add('hidden');
+        if (this.input) this.input.resume();
+        this.audio.resume('pause');
+
+        if (this.workout) {
+            // Face still gone from before the pause: handleFaceFound() resumes the set
+            if (!this.faceDetector || this.faceDetector.facePresent !== false) {
+                this.workout.session.resume(performance.now());
+            }
+        } else if (this.pausedCountdown) {
+            this.pausedCountdown = false;
+            this.startCountdown();
+        } else if (this.pausedForFace) {
+            // Still waiting for the face - handleFaceFound() takes over from here
+            document.getElementById('face-lost-message').textContent = 'Bring your face back into view';
+            document.getElementById('face-lost-countdown').textContent = '';
+            this.faceLostOverlay.classList.remove('hidden');
         } else {
-            this.animationId = requestAnimationFrame(() => this.gameLoop());
+            // Restart timing so the pause isn't simulated as one long frame
+            this.lastFrameTime = null;
+            this.accumulator = 0;
+            this.animationId = requestAnimationFrame((time) => this.gameLoop(time));
         }
     }
 
-    update() {
-        // Bird physics (exactly like Flutter app)
-        this.birdVelocity += this.GRAVITY;
-        if (this.birdVelocity > 10) {
-            this.birdVelocity = 10; // Terminal velocity
+    /** Leaving the game screen while paused (quit, new round). */
+    clearPause() {
+        if (this.pauseResumeInterval) {
+            clearInterval(this.pauseResumeInterval);
+            this.pauseResumeInterval = null;
         }
-        this.birdY += this.birdVelocity;
+        if (this.paused && this.input) this.input.resume();
+        this.paused = false;
+        this.pausedCountdown = false;
+        this.pauseOverlay.classList.add('hidden');
+        this.audio.resume('pause');
+    }
 
-        // Clamp bird position
-        const birdRadius = this.BIRD_SIZE / 2;
-        if (this.birdY < birdRadius) {
-            this.birdY = birdRadius;
-            this.birdVelocity = 0;
+    /** How long tracking was lost, once it's over (face back, or gave up). */
+    logFaceLost(resumed) {
+        if (this.faceLostAt === null) return;
+        this.logEvent('face_lost', {
+            duration_ms: Math.round(performance.now() - this.faceLostAt),
+            resumed: resumed,
+            mode: this.mode,
+            round: this.currentRound
+        });
+        this.faceLostAt = null;
+    }
+
+    stopInput() {
+        if (this.input) {
+            console.log(`🛑 Stopping input: ${this.input.type}`);
+            this.input.stop();
         }
-        if (this.birdY > this.SCREEN_HEIGHT - birdRadius) {
-            this.birdY = this.SCREEN_HEIGHT - birdRadius;
-            this.gameOver = true;
+        this.input = null;
+        this.faceDetector = null;
+        this.diagnostics.attach(null);
+        this.preview.attach(null);
+        this.inputActive = false;
+    }
+
+    renderInputIntensity(intensity, active) {
+        // Analog mode: "active" means strong enough to rise
+        const rising = this.core.CONTROL_MODE === 'analog'
+            ? intensity >= this.core.hoverIntensity
+            : active;
+        this.renderSmileIndicator(rising, intensity);
+    }
+
+    updateThresholdMarker() {
+        const indicator = document.getElementById('smile-indicator');
+        const marker = document.getElementById('smile-threshold');
+        const analog = this.core.CONTROL_MODE === 'analog';
+
+        // Analog: mark the hover point; flap: mark the trigger threshold
+        const level = analog
+            ? this.core.hoverIntensity
+            : (this.faceDetector ? this.faceDetector.triggerThreshold : GESTURES.smile.triggerThreshold);
+        indicator.classList.toggle('analog', analog);
+        marker.style.left = `${Math.min(level * 100, 100)}%`;
+    }
+
+    renderSmileIndicator(isSmiling, smileScore) {
+        const emoji = document.getElementById('smile-emoji');
+        const fill = document.getElementById('smile-fill');
+
+        if (emoji) {
+            emoji.textContent = isSmiling ? this.indicatorEmoji : '😐';
         }
 
-        // Spawn obstacles
-        if (this.obstacles.length === 0) {
-            this.spawnObstacle();
-        } else {
-            const lastObstacle = this.obstacles[this.obstacles.length - 1];
-            if (this.SCREEN_WIDTH - lastObstacle.x > this.SPAWN_DISTANCE) {
-                this.spawnObstacle();
-            }
+        if (fill) {
+            fill.style.width = `${Math.min(smileScore * 100, 100)}%`;
+            fill.style.background = isSmiling
+                ? 'linear-gradient(90deg, #00d4ff, #00ff88)'
+                : 'linear-gradient(90deg, #666, #888)';
         }
+    }
 
-        // Update obstacles
-        for (let i = this.obstacles.length - 1; i >= 0; i--) {
-            const obs = this.obstacles[i];
-            obs.x -= this.OBSTACLE_SPEED;
+    startCountdown() {
+        this.countdownOverlay.classList.remove('hidden');
+        if (this.input) {
+            this.countdownOverlay.querySelector('.countdown-hint').textContent = this.input.hint;
+        }
+        const countdownNumber = document.getElementById('countdown-number');
+        let count = 3;
 
-            // Check if passed
-            if (!obs.passed && obs.x + this.OBSTACLE_WIDTH < this.BIRD_X) {
-                obs.passed = true;
-                this.score += 10;
-                document.getElementById('score').textContent = this.score;
-            }
+        countdownNumber.textContent = count;
 
-            // Remove off-screen
-            if (obs.x + this.OBSTACLE_WIDTH < 0) {
-                this.obstacles.splice(i, 1);
+        this.countdownInterval = setInterval(() => {
+            count--;
+            if (count > 0) {
+                countdownNumber.textContent = count;
+            } else {
+                clearInterval(this.countdownInterval);
+                this.countdownInterval = null;
+                this.countdownOverlay.classList.add('hidden');
+                // Only start if not quit
+                if (!this.gameOver) {
+                    this.beginGameplay();
+                }
             }
+        }, 1000);
+    }
+
+    /**
+     * Switch between endless play and a course.
+     * @param {string|object} source - '' (endless), COURSE_LIBRARY id, course URL or course object
+     */
+    async selectCourse(source) {
+        const courseSelect = document.getElementById('course-select');
+        const info = document.getElementById('course-info');
+        info.classList.remove('error');
+
+        // Picking the custom entry again reuses the already validated course
+        if (source === 'custom') source = this.customCourse;
+
+        if (!source) {
+            this.course = null;
+            courseSelect.value = '';
+            info.textContent = '';
+            return;
         }
 
-        // Check collisions
-        if (this.checkCollision()) {
-            this.gameOver = true;
+        const entry = COURSE_LIBRARY[source];
+        info.textContent = 'Loading course...';
+        // GAME_CONSTANTS = the landscape field courses always play on (see pickLayout)
+        this.courseLoading = typeof source === 'object'
+            ? Promise.resolve().then(() => CourseLoader.parse(source, GAME_CONSTANTS))
+            : CourseLoader.load(entry ? entry.url : source, GAME_CONSTANTS);
+
+        try {
+            this.course = await this.courseLoading;
+            // Custom courses (URL / dropped file) get their own picker entry
+            if (!entry) {
+                this.customCourse = this.course;
+                courseSelect.querySelector('option[data-custom]')?.remove();
+                const option = new Option(`📄 ${this.course.name}`, 'custom');
+                option.dataset.custom = 'true';
+                courseSelect.add(option);
+            }
+            courseSelect.value = entry ? source : 'custom';
+            info.textContent = this.course.description || `${this.course.obstacles.length} obstacles`;
+            console.log(`🗺️ Course loaded: ${this.course.name} (${this.course.obstacles.length} obstacles)`);
+        } catch (error) {
+            console.error('❌ Failed to load course:', error);
+            this.course = null;
+            courseSelect.value = '';
+            info.textContent = error.message;
+            info.classList.add('error');
+        } finally {
+            this.courseLoading = null;
         }
     }
 
-    spawnObstacle() {
-        const minGapTop = 80;
-        const maxGapTop = this.SCREEN_HEIGHT - this.GAP_SIZE - 80;
-        const gapTop = minGapTop + Math.random() * (maxGapTop - minGapTop);
-        const gapBottom = gapTop + this.GAP_SIZE;
+    get courseId() {
+        if (!this.course) return null;
+        return this.course.id || 'custom';
+    }
 
-        console.log(`Spawned Pipe: GapTop=${gapTop.toFixed(1)}, GapHeight=${this.GAP_SIZE}`);
+    handleCheckpoint(label) {
+        const banner = document.getElementById('course-banner');
+        banner.textContent = `🚩 ${label}`;
+        banner.classList.remove('hidden');
+        clearTimeout(this.courseBannerTimeout);
+        this.courseBannerTimeout = setTimeout(() => banner.classList.add('hidden'), 2000);
+
+        if (!this.replay) {
+            this.logEvent('course_checkpoint', {
+                course: this.courseId,
+                checkpoint: label,
+                score: this.core.score
+            });
+        }
+    }
 
-        this.obstacles.push({
-            x: this.SCREEN_WIDTH,
-            gapTop: gapTop,
-            gapBottom: gapBottom,
-            passed: false,
-            id: Date.now()
+    resetCore() {
+        this.layout = this.pickLayout();
+        this.core.setCourse(this.course);
+        this.core.configure({
+            ...LAYOUT_PRESETS[this.layout].constants,
+            ...DIFFICULTY_PRESETS[this.difficulty].constants,
+            ...this.config.gameConstants,
+            CONTROL_MODE: this.controlMode
         });
+
+        // Fresh obstacle seed per round; the core itself never touches Math.random()
+        this.core.reset(Math.floor(Math.random() * 0x100000000));
+        this.updateThresholdMarker();
+        this.renderDifficulty(this.difficulty, this.course);
+        document.getElementById('course-banner').classList.add('hidden');
+    }
+
+    renderDifficulty(difficulty, course = null) {
+        // Courses set their own speed and gaps, so show the course instead.
+        // Older recordings have no preset (flat Flutter round) - show nothing
+        const preset = DIFFICULTY_PRESETS[difficulty];
+        const label = course ? course.name : preset ? preset.label : '';
+        document.getElementById('score-difficulty').textContent = label ? ` · ${label}` : '';
     }
 
-    checkCollision() {
-        const birdLeft = this.BIRD_X - this.BIRD_SIZE / 2;
-        const birdRight = this.BIRD_X + this.BIRD_SIZE / 2;
-        const birdTop = this.birdY - this.BIRD_SIZE / 2;
-        const birdBottom = this.birdY + this.BIRD_SIZE / 2;
+    beginGameplay() {
+        // Reset game state
+        this.resetCore();
+        this.recorder.start({
+            round: this.currentRound,
+            input: this.inputType,
+            gesture: this.faceDetector ? this.gestureId : null,
+            difficulty: this.difficulty,
+            layout: this.layout,
+            course: this.course, // Whole course, so the replay doesn't need the file
+            thresholds: this.faceDetector ? {
+                trigger: this.faceDetector.triggerThreshold,
+                reset: this.faceDetector.resetThreshold
+            } : null
+        });
+        this.gameStarted = true;
+        this.gameOver = false;
+        this.lastFrameTime = null;
+        this.accumulator = 0;
+        this.roundFaceLostMs = 0;
+        this.roundIntensity = { sum: 0, count: 0, peak: 0 };
+
+        // Update UI
+        document.getElementById('score').textContent = '0';
+        document.getElementById('current-round').textContent = this.currentRound;
 
-        // Add some forgiveness
-        const forgiveness = this.BIRD_SIZE * 0.1;
-        const safeTop = birdTop + forgiveness;
-        const safeBottom = birdBottom - forgiveness;
-        const safeLeft = birdLeft + forgiveness;
-        const safeRight = birdRight - forgiveness;
+        // Start game loop
+        this.animationId = requestAnimationFrame((time) => this.gameLoop(time));
 
-        // Check screen bounds
-        if (safeTop < 0 || safeBottom > this.SCREEN_HEIGHT) {
-            return true;
+        // Face already out of frame when the countdown ended
+        if (this.faceDetector && this.faceDetector.facePresent === false) {
+            this.handleFaceLost();
         }
+        this.audio.playMusic('bgm');
+        this.logEvent('game_start', {
+            round: this.currentRound,
+            input: this.inputType,
+            gesture: this.faceDetector ? this.gestureId : null,
+            control: this.controlMode,
+            difficulty: this.difficulty,
+            layout: this.layout,
+            scale: this.scaleMode,
+            preview: this.preview.mode,
+            course: this.courseId
+        });
+    }
 
-        // Check obstacle collisions
-        for (const obs of this.obstacles) {
-            const tubeLeft = obs.x;
-            const tubeRight = obs.x + this.OBSTACLE_WIDTH;
+    flap() {
+        if (!this.gameStarted || this.gameOver || this.paused) return;
+        if (this.core.CONTROL_MODE === 'analog') return; // Intensity drives the fish instead
+
+        // MIN_FLAP_INTERVAL is enforced by the core in simulation time
+        const accepted = this.core.flap();
+        this.recorder.recordFlap(accepted);
+        this.diagnostics.recordFlap(accepted);
+        if (accepted) {
+            this.audio.play('jump');
+            console.log('🐟 Flap!');
+        }
+    }
 
-            if (safeRight > tubeLeft && safeLeft < tubeRight) {
-                if (safeTop < obs.gapTop || safeBottom > obs.gapBottom) {
-                    return true;
-                }
+    gameLoop(time) {
+        if (!this.gameStarted || this.pausedForFace || this.paused) return;
+        this.diagnostics.recordFrame(time);
+
+        if (this.lastFrameTime === null) {
+            this.lastFrameTime = time;
+        }
+        // Clamp so a long stall doesn't fast-forward the round in one frame
+        const frameTime = Math.min(time - this.lastFrameTime, this.MAX_FRAME_TIME);
+        this.lastFrameTime = time;
+        this.accumulator += frameTime;
+
+        // Run as many fixed 60Hz steps as real time has elapsed
+        // (0 on most 120Hz frames, 2+ when a slow device drops frames)
+        while (this.accumulator >= this.core.SIM_STEP_MS && !this.core.gameOver) {
+            // Scripted inputs (replays) are keyed to simulation ticks
+            const tickInput = this.replay ? this.replay.input : this.input;
+            if (tickInput && tickInput.advance) {
+                tickInput.advance(this.core.tick);
             }
+            this.core.step();
+            this.accumulator -= this.core.SIM_STEP_MS;
         }
 
-        return false;
+        // Interpolate between the last two simulation states
+        const alpha = this.core.gameOver ? 1 : this.accumulator / this.core.SIM_STEP_MS;
+        this.render(alpha);
+
+        if (this.core.gameOver) {
+            this.gameOver = true;
+            this.handleGameOver();
+        } else {
+            this.animationId = requestAnimationFrame((t) => this.gameLoop(t));
+        }
     }
 
-    render() {
+    render(alpha = 1) {
         const ctx = this.ctx;
+        const { SCREEN_WIDTH: width, SCREEN_HEIGHT: height } = this.core;
 
         // Clear canvas (transparent - camera shows through)
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
         ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
+        // Everything below draws in logical field units
+        this.updateView();
+        ctx.setTransform(
+            this.dpr * this.scaleX, 0, 0, this.dpr * this.scaleY,
+            this.dpr * this.offsetX, this.dpr * this.offsetY
+        );
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(0, 0, width, height);
+        ctx.clip();
+
         // Optional: Draw semi-transparent ocean overlay for atmosphere
         if (this.oceanImage && this.oceanImage.complete) {
             ctx.globalAlpha = 0.15; // Very subtle overlay
-            ctx.drawImage(this.oceanImage, 0, 0, this.canvas.width, this.canvas.height);
+            ctx.drawImage(this.oceanImage, 0, 0, width, height);
             ctx.globalAlpha = 1;
         }
 
         // Draw obstacles (pipes)
-        for (const obs of this.obstacles) {
-            this.drawPipe(obs);
+        for (const obs of this.core.obstacles) {
+            this.drawPipe(obs, alpha);
+        }
+
+        // Course finish line
+        if (this.core.finishX !== null) {
+            this.drawFinishLine(this.lerp(this.core.prevFinishX, this.core.finishX, alpha));
         }
 
         // Draw fish (bird)
-        this.drawFish();
+        this.drawFish(alpha);
+
+        if (this.showHitboxes) this.drawHitboxes(alpha);
+        ctx.restore();
+
+        this.drawLetterbox();
     }
 
-    drawPipe(obs) {
+    /** Fit mode: dim the bars outside the field so its edges are visible. */
+    drawLetterbox() {
+        if (this.offsetX <= 0 && this.offsetY <= 0) return;
         const ctx = this.ctx;
+        const { SCREEN_WIDTH: width, SCREEN_HEIGHT: height } = this.core;
+
+        ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+        ctx.fillStyle = 'rgba(10, 22, 40, 0.6)';
+        const fieldRight = this.offsetX + width * this.scaleX;
+        const fieldBottom = this.offsetY + height * this.scaleY;
+        if (this.offsetX > 0) {
+            ctx.fillRect(0, 0, this.offsetX, this.viewHeight);
+            ctx.fillRect(fieldRight, 0, this.viewWidth - fieldRight, this.viewHeight);
+        }
+        if (this.offsetY > 0) {
+            ctx.fillRect(0, 0, this.viewWidth, this.offsetY);
+            ctx.fillRect(0, fieldBottom, this.viewWidth, this.viewHeight - fieldBottom);
+        }
+    }
 
-        // Use Independent Scales (Fill Screen)
-        const x = obs.x * this.scaleX;
-        const width = this.OBSTACLE_WIDTH * this.scaleX;
-        const gapTop = obs.gapTop * this.scaleY;
-        const gapBottom = obs.gapBottom * this.scaleY;
+    lerp(from, to, alpha) {
+        return from + (to - from) * alpha;
+    }
 
-        // Full screen limits
+    drawPipe(obs, alpha = 1) {
+        const ctx = this.ctx;
+
+        // Logical units (render() sets the view transform) - drawn exactly where checkCollision() looks
+        const x = this.lerp(obs.prevX, obs.x, alpha);
+        const width = this.core.OBSTACLE_WIDTH;
+        const gapTop = obs.gapTop;
+        const gapBottom = obs.gapBottom;
+
+        // Field limits
         const screenTop = 0;
-        const screenBottom = this.canvas.height;
+        const screenBottom = this.core.SCREEN_HEIGHT;
 
         // Colors from Flutter FlappyCheekPainter
         const tubeColor = '#228B22';      // _tubePaint
@@ -592,8 +1579,8 @@ class FlappyGame {
         const edgeHighlight = 'rgba(255, 255, 255, 0.2)'; // _edgePaint
         const edgeShadow = 'rgba(0, 0, 0, 0.2)'; // _shadowPaint
 
-        const capHeight = 20 * this.scaleX; // Scale with WIDTH (X) to maintain proportion, don't stretch with Y
-        const capExtension = 4 * this.scaleX; // Scale horizontal features with X
+        const capHeight = this.core.PIPE_CAP_HEIGHT;
+        const capExtension = this.core.PIPE_CAP_EXTENSION;
         const edgeWidth = width * 0.1;
 
         // --- TOP PIPE ---
@@ -655,12 +1642,26 @@ class FlappyGame {
         ctx.strokeRect(x - capExtension, gapBottom, width + capExtension * 2, capHeight);
     }
 
-    drawFish() {
+    drawFinishLine(finishX) {
+        const ctx = this.ctx;
+        const x = finishX;
+        const square = 12;
+
+        // Two-column checkered flag band, full height
+        for (let row = 0; row * square < this.core.SCREEN_HEIGHT; row++) {
+            for (let col = 0; col < 2; col++) {
+                ctx.fillStyle = (row + col) % 2 === 0 ? 'rgba(255, 255, 255, 0.8)' : 'rgba(0, 0, 0, 0.8)';
+                ctx.fillRect(x + col * square, row * square, square, square);
+            }
+        }
+    }
+
+    drawFish(alpha = 1) {
         const ctx = this.ctx;
 
-        const x = this.BIRD_X * this.scaleX;
-        const y = this.birdY * this.scaleY; // Y position scales with Height
-        const size = this.BIRD_SIZE * this.scaleX; // Size scales with Width (Maintain Aspect Ratio)
+        const x = this.core.BIRD_X;
+        const y = this.lerp(this.core.prevBirdY, this.core.birdY, alpha);
+        const size = this.core.BIRD_SIZE;
 
         if (this.fishImage && this.fishImage.complete) {
             ctx.globalAlpha = 0.85;
@@ -681,25 +1682,129 @@ class FlappyGame {
         }
     }
 
+    /**
+     * Debug overlay: obstacle rects (red), the fish's configured hit shape (yellow)
+     * and the outline traced from the loaded sprite (cyan, dashed) to compare against.
+     */
+    drawHitboxes(alpha = 1) {
+        const ctx = this.ctx;
+        const hitbox = this.core.getHitbox(this.lerp(this.core.prevBirdY, this.core.birdY, alpha));
+        ctx.lineWidth = 1.5;
+
+        ctx.strokeStyle = 'rgba(255, 60, 60, 0.9)';
+        for (const obs of this.core.obstacles) {
+            const x = this.lerp(obs.prevX, obs.x, alpha);
+            for (const rect of this.core.getObstacleRects({ ...obs, x })) {
+                ctx.strokeRect(rect.left, rect.top, rect.right - rect.left, rect.bottom - rect.top);
+            }
+        }
+
+        ctx.strokeStyle = '#ffd400';
+        ctx.beginPath();
+        if (hitbox.type === 'ellipse') {
+            ctx.ellipse(hitbox.cx, hitbox.cy, hitbox.rx, hitbox.ry, 0, 0, Math.PI * 2);
+        } else if (hitbox.type === 'polygon') {
+            for (const [x, y] of hitbox.points) ctx.lineTo(x, y);
+            ctx.closePath();
+        } else {
+            const { left, top, right, bottom } = hitbox.bounds;
+            ctx.rect(left, top, right - left, bottom - top);
+        }
+        ctx.stroke();
+
+        const outline = this.traceSpriteOutline();
+        if (outline && outline.length > 0) {
+            const x = this.core.BIRD_X;
+            const y = this.lerp(this.core.prevBirdY, this.core.birdY, alpha);
+            const size = this.core.BIRD_SIZE;
+            ctx.strokeStyle = 'rgba(0, 255, 255, 0.9)';
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            for (const [px, py] of outline) ctx.lineTo(x + px * size, y + py * size);
+            ctx.closePath();
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        ctx.fillStyle = '#ffd400';
+        ctx.font = '12px monospace';
+        ctx.fillText(`HITBOX ${this.core.HITBOX} x${this.core.HITBOX_SCALE}`, 8, this.core.SCREEN_HEIGHT - 8);
+    }
+
+    /** Outline of the fish sprite's alpha, for comparing with HITBOX_SHAPES.sprite (null = not available). */
+    traceSpriteOutline() {
+        if (this.spriteOutline !== null) return this.spriteOutline;
+        if (!this.fishImage || !this.fishImage.complete || !this.fishImage.naturalWidth) return null;
+
+        const { naturalWidth: width, naturalHeight: height } = this.fishImage;
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const context = canvas.getContext('2d');
+            context.drawImage(this.fishImage, 0, 0);
+            const pixels = context.getImageData(0, 0, width, height).data;
+            const alpha = new Uint8Array(width * height);
+            for (let i = 0; i < alpha.length; i++) alpha[i] = pixels[i * 4 + 3];
+
+            this.spriteOutline = GameCore.traceHitbox(alpha, width, height);
+            // Paste into HITBOX_SHAPES.sprite after changing the fish image
+            console.log('🎯 Traced fish outline:', JSON.stringify(this.spriteOutline));
+        } catch (error) {
+            // Canvas is tainted when opened from file:// - the overlay just skips the trace
+            console.warn('⚠️ Could not trace fish sprite:', error);
+            this.spriteOutline = [];
+        }
+        return this.spriteOutline;
+    }
+
     handleGameOver() {
         this.gameStarted = false;
-        this.stopBGM();
+        this.audio.play(this.core.finished ? 'score' : 'hit');
+        this.audio.duck(); // Music keeps going quietly under the round over screens
+
+        if (this.replay) {
+            this.finishReplay();
+            return;
+        }
 
+        this.lastRecording = this.recorder.finish();
+
+        const score = this.core.score;
+        const previousBest = this.history.bestScore;
+        const round = this.recordRoundHistory();
+        const personalBest = score > 0 && score > previousBest;
         this.logEvent('round_complete', {
-            score: this.score,
-            round: this.currentRound
+            score: score,
+            round: this.currentRound,
+            difficulty: this.difficulty,
+            course: this.courseId,
+            finished: this.core.finished,
+            personal_best: personalBest,
+            avg_intensity: round.avgIntensity,
+            face_lost_ms: Math.round(this.roundFaceLostMs)
         });
+        document.getElementById('round-best').textContent = personalBest ? '🎉 New personal best!' : '';
 
-        // Update best score
-        if (this.score > this.bestScore) {
-            this.bestScore = this.score;
+        // Scripted rounds (?script=) are bots - never ranked
+        this.lastLeaderboardId = null;
+        if (this.inputType !== 'scripted' && this.leaderboard.qualifies(this.lastRecording)) {
+            this.promptLeaderboardName(this.lastRecording).then(() => this.showRoundResult());
+        } else {
+            this.showRoundResult();
         }
+    }
 
+    showRoundResult() {
         // Check if more rounds available
         if (this.currentRound < this.maxRounds) {
             // Show round over overlay
-            document.getElementById('round-score').textContent = this.score;
+            document.getElementById('round-over-title').textContent = this.core.finished
+                ? '🏁 COURSE COMPLETE! 🏁'
+                : '🐟 CRASHED! 🐟';
+            document.getElementById('round-score').textContent = this.core.score;
             document.getElementById('rounds-left').textContent = this.maxRounds - this.currentRound;
+            this.renderLeaderboard(document.getElementById('round-leaderboard'), true);
             this.roundOverOverlay.classList.remove('hidden');
         } else {
             // Show CTA screen
@@ -707,6 +1812,158 @@ class FlappyGame {
         }
     }
 
+    /** Ask for a name for a top-10 round; resolves once saved or skipped. */
+    promptLeaderboardName(recording) {
+        const overlay = document.getElementById('name-entry-overlay');
+        const input = document.getElementById('name-entry-input');
+        const saveBtn = document.getElementById('name-entry-save-btn');
+        const skipBtn = document.getElementById('name-entry-skip-btn');
+
+        document.getElementById('name-entry-score').textContent = recording.score;
+        input.value = localStorage.getItem(FlappyGame.PLAYER_NAME_KEY) || '';
+        overlay.classList.remove('hidden');
+        input.focus();
+
+        return new Promise((resolve) => {
+            this.closeNameEntry = () => {
+                saveBtn.onclick = null;
+                skipBtn.onclick = null;
+                input.onkeydown = null;
+                overlay.classList.add('hidden');
+                this.closeNameEntry = null;
+            };
+            const close = (save) => {
+                this.closeNameEntry();
+
+                if (save) {
+                    const name = Leaderboard.cleanName(input.value);
+                    localStorage.setItem(FlappyGame.PLAYER_NAME_KEY, name);
+                    const entry = this.leaderboard.add(name, recording);
+                    if (entry) {
+                        this.lastLeaderboardId = entry.id;
+                        this.logEvent('leaderboard_entry', {
+                            score: entry.score,
+                            rank: this.leaderboard.entries.indexOf(entry) + 1,
+                            difficulty: entry.difficulty
+                        });
+                    }
+                }
+                resolve();
+            };
+
+            saveBtn.onclick = () => close(true);
+            skipBtn.onclick = () => close(false);
+            input.onkeydown = (e) => {
+                e.stopPropagation(); // Typing a space is not a flap
+                if (e.key === 'Enter') close(true);
+            };
+        });
+    }
+
+    renderLeaderboard(list, compact = false) {
+        // Compact (round-over overlay): top 5, plus the new entry if it's lower
+        const entries = this.leaderboard.entries;
+        const shown = compact
+            ? entries.filter((entry, i) => i < 5 || entry.id === this.lastLeaderboardId)
+            : entries;
+
+        list.replaceChildren(...shown.map((entry) => {
+            const row = document.createElement('li');
+            row.classList.toggle('highlight', entry.id === this.lastLeaderboardId);
+
+            const preset = DIFFICULTY_PRESETS[entry.difficulty];
+            const cells = [
+                ['lb-rank', `${entries.indexOf(entry) + 1}.`],
+                ['lb-name', `${preset ? preset.emoji : ''} ${entry.name}`],
+                ['lb-score', entry.score]
+            ];
+            for (const [className, text] of cells) {
+                const cell = document.createElement('span');
+                cell.className = className;
+                cell.textContent = text;
+                row.append(cell);
+            }
+            return row;
+        }));
+    }
+
+    async importLeaderboard(file) {
+        const status = document.getElementById('leaderboard-status');
+        status.classList.remove('error');
+
+        try {
+            const result = this.leaderboard.import(await file.text());
+            const parts = [`${result.added} added`, `${result.duplicates} already on the board`];
+            if (result.rejected.length > 0) {
+                parts.push(`${result.rejected.length} rejected`);
+                console.warn('⚠️ Rejected leaderboard entries:', result.rejected);
+            }
+            status.textContent = `📥 ${parts.join(', ')}`;
+            this.logEvent('leaderboard_import', {
+                added: result.added,
+                duplicates: result.duplicates,
+                rejected: result.rejected.length
+            });
+        } catch (error) {
+            console.error('❌ Leaderboard import failed:', error);
+            status.textContent = error.message;
+            status.classList.add('error');
+        }
+        this.renderLeaderboard(document.getElementById('cta-leaderboard'));
+    }
+
+    /** @param {boolean} [quit] - Ended with the quit button instead of a crash / finish */
+    recordRoundHistory(quit = false) {
+        const { sum, count, peak } = this.roundIntensity;
+        const round2 = (value) => Math.round(value * 100) / 100;
+
+        return this.history.addRound({
+            score: this.core.score,
+            durationMs: Math.round(this.core.time),
+            flaps: this.core.flapCount,
+            avgIntensity: count > 0 ? round2(sum / count) : null,
+            peakIntensity: count > 0 ? round2(peak) : null,
+            faceLostMs: Math.round(this.roundFaceLostMs),
+            input: this.inputType,
+            gesture: this.faceDetector ? this.gestureId : null,
+            control: this.controlMode,
+            difficulty: this.difficulty,
+            course: this.courseId,
+            finished: this.core.finished,
+            quit: quit
+        });
+    }
+
+    renderStats() {
+        const stats = this.history.stats();
+
+        document.getElementById('stats-best').textContent = stats.bestScore;
+        document.getElementById('stats-rounds').textContent = stats.rounds;
+        document.getElementById('stats-streak').textContent = stats.currentStreak;
+        document.getElementById('stats-intensity').textContent =
+            stats.avgIntensity === null ? '-' : `${Math.round(stats.avgIntensity * 100)}%`;
+
+        // Best score per day, scaled to the best day shown
+        const container = document.getElementById('stats-days');
+        const top = Math.max(1, ...stats.days.map(d => d.best));
+        container.replaceChildren(...stats.days.map((day) => {
+            const column = document.createElement('div');
+            column.className = 'stats-day';
+            column.title = `${day.date}: ${day.rounds} rounds, best ${day.best}`;
+
+            const bar = document.createElement('div');
+            bar.className = 'stats-day-bar';
+            bar.style.height = `${(day.best / top) * 70}%`;
+
+            const label = document.createElement('span');
+            label.textContent = PlayerHistory.parseDay(day.date)
+                .toLocaleDateString(undefined, { weekday: 'narrow' });
+
+            column.append(bar, label);
+            return column;
+        }));
+    }
+
     startNextRound() {
         console.log('🔄 startNextRound() called');
 
@@ -716,10 +1973,7 @@ class FlappyGame {
         // Reset game state for new round
         this.gameOver = false;
         this.gameStarted = false;
-        this.score = 0;
-        this.obstacles = [];
-        this.birdY = this.SCREEN_HEIGHT / 2;
-        this.birdVelocity = 0;
+        this.resetCore();
 
         // Cancel any existing animation frame
         if (this.animationId) {
@@ -728,10 +1982,7 @@ class FlappyGame {
         }
 
         // Clear canvas and draw fresh fish
-        if (this.ctx && this.canvas) {
-            this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-            this.drawFish();
-        }
+        this.render();
 
         // Update UI
         document.getElementById('score').textContent = '0';
@@ -742,19 +1993,241 @@ class FlappyGame {
         this.startCountdown();
     }
 
+    beginWorkout() {
+        const routine = EXERCISE_ROUTINES[this.routineId];
+        const session = new ExerciseSession(routine);
+        session.onRep = (rep) => {
+            if (rep.completed) this.audio.play('score');
+            console.log(`🏋️ Rep ${rep.rep}: ${rep.completed ? 'done' : 'missed'} (hold ${rep.holdMs}ms, peak ${rep.peak})`);
+        };
+        session.onComplete = (summary) => this.finishWorkout(summary);
+
+        if (this.workout && this.workout.animationId) {
+            cancelAnimationFrame(this.workout.animationId);
+        }
+        this.workout = { session, routineId: this.routineId, animationId: null };
+
+        this.workoutSummaryOverlay.classList.add('hidden');
+        this.workoutOverlay.classList.remove('hidden');
+        session.start(performance.now());
+
+        // Face already out of frame: start paused
+        if (this.faceDetector && this.faceDetector.facePresent === false) {
+            session.pause(performance.now());
+        }
+
+        this.logEvent('workout_start', {
+            routine: this.routineId,
+            input: this.inputType,
+            gesture: this.faceDetector ? this.gestureId : null
+        });
+
+        const loop = (time) => {
+            if (!this.workout || this.workout.session !== session) return;
+            this.renderWorkout(session.update(time));
+            if (session.phase !== 'done') {
+                this.workout.animationId = requestAnimationFrame(loop);
+            }
+        };
+        this.workout.animationId = requestAnimationFrame(loop);
+    }
+
+    renderWorkout(state) {
+        const gesture = this.faceDetector ? this.faceDetector.gesture : null;
+        const action = gesture ? `${gesture.emoji} ${gesture.action}` : '👆 PRESS';
+        let prompt;
+        let timer = '';
+        let progress = 0;
+
+        if (state.paused) {
+            prompt = '🙈 Bring your face back';
+        } else if (state.phase === 'relax') {
+            prompt = '😌 Relax';
+            timer = state.relaxRemaining > 0 ? `${Math.ceil(state.relaxRemaining / 1000)}` : '';
+            progress = state.relaxProgress;
+        } else if (state.holding) {
+            prompt = state.holdProgress >= 1 ? '✅ Great - now relax' : `${action} - hold it!`;
+            timer = `${(state.holdElapsed / 1000).toFixed(1)}s`;
+            progress = state.holdProgress;
+        } else {
+            prompt = `${action} and hold`;
+        }
+
+        document.getElementById('workout-rep').textContent = `Rep ${state.rep} / ${state.reps}`;
+        document.getElementById('workout-prompt').textContent = prompt;
+        document.getElementById('workout-timer').textContent = timer;
+        document.getElementById('workout-progress-fill').style.width = `${progress * 100}%`;
+        document.getElementById('workout-intensity-fill').style.width = `${Math.min(state.intensity * 100, 100)}%`;
+        document.getElementById('workout-tally').textContent = `✅ ${state.completed}   ❌ ${state.missed}`;
+        this.workoutOverlay.classList.toggle('relaxing', state.phase === 'relax');
+    }
+
+    finishWorkout(summary) {
+        const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+        this.workoutOverlay.classList.add('hidden');
+        document.getElementById('workout-summary-reps').textContent = `${summary.completed} / ${summary.reps}`;
+        document.getElementById('workout-summary-hold').textContent =
+            summary.completed > 0 ? `${seconds(summary.avgHoldMs)} (target ${seconds(summary.holdTargetMs)})` : '-';
+        document.getElementById('workout-summary-longest').textContent = seconds(summary.longestHoldMs);
+        document.getElementById('workout-summary-peak').textContent =
+            `${Math.round(summary.avgPeak * 100)}% avg, ${Math.round(summary.bestPeak * 100)}% best`;
+        document.getElementById('workout-summary-time').textContent = seconds(summary.durationMs);
+        this.workoutSummaryOverlay.classList.remove('hidden');
+
+        this.logEvent('workout_complete', {
+            routine: this.workout.routineId,
+            reps: summary.reps,
+            completed: summary.completed,
+            avg_hold_ms: summary.avgHoldMs,
+            avg_peak: summary.avgPeak
+        });
+    }
+
+    /** Leave workout mode (stopped mid-set or done) and go back to the intro. */
+    closeWorkout(stopped) {
+        if (!this.workout) return;
+
+        if (this.workout.animationId) {
+            cancelAnimationFrame(this.workout.animationId);
+        }
+        if (stopped && this.workout.session.phase !== 'done') {
+            const summary = this.workout.session.summary();
+            this.logEvent('workout_quit', {
+                routine: this.workout.routineId,
+                reps_done: summary.completed + summary.missed,
+                completed: summary.completed
+            });
+        }
+        this.logFaceLost(false);
+        this.workout = null;
+        this.mode = 'game';
+
+        this.stopInput();
+        this.workoutOverlay.classList.add('hidden');
+        this.workoutSummaryOverlay.classList.add('hidden');
+        this.showFramingHint(null);
+        this.gameScreen.classList.remove('active');
+        this.introScreen.classList.add('active');
+    }
+
+    async loadReplayFromUrl(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.playReplay(await response.text(), 'intro');
+        } catch (error) {
+            console.error('❌ Failed to load replay:', error);
+        }
+    }
+
+    playReplay(recording, returnTo = 'intro') {
+        recording = RoundRecorder.parse(recording);
+        console.log(`🎬 Replaying round: seed=${recording.seed}, score=${recording.score}`);
+
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+
+        // Recorded constants win for the replay; live ones are restored on close
+        const liveConstants = this.replay ? this.replay.liveConstants : this.core.getConstants();
+        const input = ScriptedInputProvider.fromRecording(recording);
+        input.onFlap = () => this.flap();
+        this.indicatorEmoji = (GESTURES[recording.gesture] || GESTURES.smile).emoji;
+        input.onIntensity = (intensity, active) => {
+            // Analog recordings only contain intensity events, so this reproduces the thrust exactly
+            if (this.core.CONTROL_MODE === 'analog') this.core.setIntensity(intensity);
+            this.renderInputIntensity(intensity, active);
+        };
+        this.replay = { recording, input, liveConstants, returnTo };
+        // Older recordings may lack newer constants (e.g. CONTROL_MODE, HITBOX)
+        this.core.configure(GameCore.recordedConstants(recording.constants));
+        this.core.setCourse(recording.course || null);
+        this.core.reset(recording.seed);
+        this.updateThresholdMarker();
+        this.renderDifficulty(recording.difficulty, recording.course);
+
+        // Update UI
+        document.getElementById('score').textContent = '0';
+        this.renderSmileIndicator(false, 0);
+
+        // Show game screen in replay mode (no camera needed)
+        this.introScreen.classList.remove('active');
+        this.ctaScreen.classList.remove('active');
+        this.roundOverOverlay.classList.add('hidden');
+        this.replayOverOverlay.classList.add('hidden');
+        this.gameScreen.classList.add('active', 'replaying');
+
+        this.gameStarted = true;
+        this.gameOver = false;
+        this.lastFrameTime = null;
+        this.accumulator = 0;
+        this.animationId = requestAnimationFrame((time) => this.gameLoop(time));
+    }
+
+    finishReplay() {
+        const { recording } = this.replay;
+        const matches = this.core.score === recording.score;
+
+        if (!matches) {
+            console.warn(`⚠️ Replay score ${this.core.score} differs from recorded ${recording.score}`);
+        }
+
+        document.getElementById('replay-score').textContent = this.core.score;
+        document.getElementById('replay-verdict').textContent = matches
+            ? '✅ Matches recorded score'
+            : `⚠️ Recorded score was ${recording.score}`;
+        this.replayOverOverlay.classList.remove('hidden');
+    }
+
+    closeReplay() {
+        if (!this.replay) return;
+
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+
+        const { liveConstants, returnTo } = this.replay;
+        this.replay = null;
+        this.gameStarted = false;
+        this.core.configure(liveConstants);
+        this.resetCore();
+
+        this.replayOverOverlay.classList.add('hidden');
+        this.gameScreen.classList.remove('replaying');
+        this.renderSmileIndicator(false, 0);
+
+        if (returnTo === 'round-over') {
+            this.audio.duck();
+            this.roundOverOverlay.classList.remove('hidden');
+        } else {
+            this.audio.stopMusic();
+            this.gameScreen.classList.remove('active');
+            this.introScreen.classList.add('active');
+        }
+    }
+
     showCTAScreen() {
         // Stop game
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
         }
 
-        // Stop face detection
-        if (this.faceDetector) {
-            this.faceDetector.stop();
-        }
+        // Stop face detection / input listeners
+        this.stopInput();
+        this.audio.stopMusic();
 
-        // Update best score display
-        document.getElementById('best-score').textContent = this.bestScore;
+        // Personal best across visits (player-history.js)
+        document.getElementById('best-score').textContent = this.history.bestScore;
+        this.renderStats();
+        this.renderLeaderboard(document.getElementById('cta-leaderboard'));
+        document.getElementById('leaderboard-status').textContent = '';
+        // The preset the best was set on, not the one just played
+        const bestRound = this.history.bestRound;
+        const preset = bestRound && DIFFICULTY_PRESETS[bestRound.difficulty];
+        document.getElementById('best-difficulty').textContent = preset ? `${preset.emoji} ${preset.label}` : '';
 
         // Switch screens
         this.gameScreen.classList.remove('active');
@@ -763,6 +2236,30 @@ class FlappyGame {
     }
 }
 
+FlappyGame.PLAYER_NAME_KEY = 'flappyCheek.playerName';
+FlappyGame.CAMERA_KEY = 'flappyCheek.cameraId';
+
+// Input provider failures other than the camera's (FaceDetector.ERRORS)
+FlappyGame.INPUT_ERRORS = {
+    'script-missing': {
+        title: 'No input script given',
+        steps: ['Add &script=<url> with a script array or a saved round recording', 'Or play with the space bar / tap below'],
+        retry: false
+    },
+    script: {
+        title: 'Input script could not be loaded',
+        steps: ['Check that the script URL exists and is a script array or a saved round recording', 'Or play with the space bar / tap below'],
+        retry: false
+    }
+};
+
+FlappyGame.inputFailure = (kind, cause) => {
+    const error = new Error(`${FlappyGame.INPUT_ERRORS[kind].title}: ${cause.message}`);
+    error.kind = kind;
+    error.cause = cause;
+    return error;
+};
+
 // Start game when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.game = new FlappyGame();
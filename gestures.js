@@ -0,0 +1,85 @@
+/**
+ * Gestures - Which facial exercise drives the game
+ * Each gesture turns MediaPipe blendshapes into a 0-1 score and carries its own
+ * smoothing buffer size and hysteresis thresholds. 'smile' is the Flutter app default.
+ * - type 'average': mean of the listed blendshapes
+ * - type 'sequence': one blendshape per step, advancing on every trigger
+ *   (e.g. left smile, then right smile, then left again...)
+ */
+
+const GESTURES = {
+    smile: {
+        label: 'Smile',
+        emoji: '😊',
+        action: 'SMILE',
+        type: 'average',
+        blendshapes: ['mouthSmileLeft', 'mouthSmileRight'],
+        bufferSize: 5,          // Flutter: _bufferSize = 5
+        triggerThreshold: 0.6,  // Flutter: _smileTriggerThreshold = 0.6
+        resetThreshold: 0.4     // Flutter: _smileResetThreshold = 0.4
+    },
+    cheekPuff: {
+        label: 'Cheek Puff',
+        emoji: '🐡',
+        action: 'PUFF your cheeks',
+        type: 'average',
+        blendshapes: ['cheekPuff'],
+        bufferSize: 4,
+        triggerThreshold: 0.35, // cheekPuff rarely goes above ~0.6
+        resetThreshold: 0.2
+    },
+    jawOpen: {
+        label: 'Jaw Open',
+        emoji: '😮',
+        action: 'OPEN your mouth',
+        type: 'average',
+        blendshapes: ['jawOpen'],
+        bufferSize: 3,          // Fast, large movement - less smoothing needed
+        triggerThreshold: 0.45,
+        resetThreshold: 0.25
+    },
+    browRaise: {
+        label: 'Brow Raise',
+        emoji: '🤨',
+        action: 'RAISE your eyebrows',
+        type: 'average',
+        blendshapes: ['browInnerUp'],
+        bufferSize: 5,
+        triggerThreshold: 0.5,
+        resetThreshold: 0.3
+    },
+    alternateSmile: {
+        label: 'Left / Right Smile',
+        emoji: '😏',
+        action: 'SMILE on one side, then the other',
+        type: 'sequence',
+        // Score = expected side minus the other side, so a full smile doesn't count
+        blendshapes: ['mouthSmileLeft', 'mouthSmileRight'],
+        bufferSize: 4,
+        triggerThreshold: 0.25,
+        resetThreshold: 0.1,
+        calibratable: false
+    }
+};
+
+/**
+ * Raw 0-1 score of a gesture for one frame.
+ * @param {object} gesture - Entry of GESTURES
+ * @param {(name: string) => number} getScore - Blendshape score lookup
+ * @param {number} step - Current step for 'sequence' gestures
+ */
+function measureGesture(gesture, getScore, step = 0) {
+    const scores = gesture.blendshapes.map(getScore);
+
+    if (gesture.type === 'sequence') {
+        const expected = scores[step % scores.length];
+        const others = scores.filter((_, i) => i !== step % scores.length);
+        return Math.max(0, expected - Math.max(...others));
+    }
+
+    return scores.reduce((a, b) => a + b, 0) / scores.length;
+}
+
+// Export for use in face-detection.js and game.js
+window.GESTURES = GESTURES;
+window.measureGesture = measureGesture;
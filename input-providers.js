@@ -0,0 +1,157 @@
+/**
+ * Input Providers - Where "flap" and "intensity" events come from
+ * The game only listens to onFlap / onIntensity and never cares about the source:
+ * - FaceDetector (camera smile, see face-detection.js)
+ * - KeyboardInputProvider (space bar)
+ * - PointerInputProvider (touch / click)
+ * - ScriptedInputProvider (tick-stamped script: replays, demos, QA)
+ */
+
+class InputProvider {
+    constructor() {
+        this.type = 'none';
+        this.hint = '';
+
+        // Callbacks set by the game
+        this.onFlap = null;      // ()
+        this.onIntensity = null; // (intensity 0-1, active)
+    }
+
+    /** @param {{videoElement?: HTMLVideoElement, element?: HTMLElement}} context */
+    async start(context) { }
+
+    stop() { }
+
+    /** Game paused: stop producing input (and any heavy work) until resume(). */
+    pause() { }
+
+    resume() { }
+
+    emitFlap() {
+        if (this.onFlap) this.onFlap();
+    }
+
+    emitIntensity(intensity, active) {
+        if (this.onIntensity) this.onIntensity(intensity, active);
+    }
+}
+
+class KeyboardInputProvider extends InputProvider {
+    constructor() {
+        super();
+        this.type = 'keyboard';
+        this.hint = 'Press SPACE to make the fish jump!';
+        this.isDown = false;
+
+        this.handleKeyDown = (e) => {
+            if (e.code !== 'Space') return;
+            e.preventDefault(); // Don't scroll or re-click a focused button
+            if (e.repeat || this.isDown) return;
+
+            this.isDown = true;
+            this.emitIntensity(1, true);
+            this.emitFlap();
+        };
+
+        this.handleKeyUp = (e) => {
+            if (e.code !== 'Space') return;
+            e.preventDefault();
+
+            this.isDown = false;
+            this.emitIntensity(0, false);
+        };
+    }
+
+    async start() {
+        window.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('keyup', this.handleKeyUp);
+    }
+
+    stop() {
+        window.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('keyup', this.handleKeyUp);
+        this.isDown = false;
+    }
+}
+
+class PointerInputProvider extends InputProvider {
+    constructor() {
+        super();
+        this.type = 'pointer';
+        this.hint = 'TAP to make the fish jump!';
+        this.element = null;
+
+        this.handlePointerDown = (e) => {
+            // Let buttons (quit etc.) work normally
+            if (e.target.closest('button')) return;
+
+            this.emitIntensity(1, true);
+            this.emitFlap();
+        };
+
+        this.handlePointerUp = () => {
+            this.emitIntensity(0, false);
+        };
+    }
+
+    async start({ element = document.body } = {}) {
+        this.element = element;
+        element.addEventListener('pointerdown', this.handlePointerDown);
+        element.addEventListener('pointerup', this.handlePointerUp);
+        element.addEventListener('pointercancel', this.handlePointerUp);
+    }
+
+    stop() {
+        if (!this.element) return;
+        this.element.removeEventListener('pointerdown', this.handlePointerDown);
+        this.element.removeEventListener('pointerup', this.handlePointerUp);
+        this.element.removeEventListener('pointercancel', this.handlePointerUp);
+        this.element = null;
+    }
+}
+
+/**
+ * Plays a fixed script of events keyed by simulation tick.
+ * Script entries: { t, type: 'flap' } or { t, type: 'intensity', v, on }.
+ * The game calls advance(tick) before each simulation step.
+ */
+class ScriptedInputProvider extends InputProvider {
+    constructor(script = []) {
+        super();
+        this.type = 'scripted';
+        this.hint = 'Scripted input - sit back and watch!';
+        this.script = [...script].sort((a, b) => a.t - b.t);
+        this.index = 0;
+    }
+
+    async start() {
+        this.index = 0;
+    }
+
+    advance(tick) {
+        while (this.index < this.script.length && this.script[this.index].t <= tick) {
+            const event = this.script[this.index++];
+            if (event.type === 'flap') {
+                this.emitFlap();
+            } else if (event.type === 'intensity') {
+                this.emitIntensity(event.v, event.on);
+            }
+        }
+    }
+
+    /** Build a script from a RoundRecorder recording. */
+    static fromRecording(recording) {
+        const script = recording.events.map((event) => (
+            event.type === 'flap'
+                ? { t: event.t, type: 'flap' }
+                : { t: event.t, type: 'intensity', v: event.v, on: event.on }
+        ));
+        return new ScriptedInputProvider(script);
+    }
+}
+
+// Export for use in face-detection.js and game.js
+window.InputProvider = InputProvider;
+window.KeyboardInputProvider = KeyboardInputProvider;
+window.PointerInputProvider = PointerInputProvider;
+window.ScriptedInputProvider = ScriptedInputProvider;
@@ -0,0 +1,246 @@
+/**
+ * Leaderboard - Device-local top 10 for booths / events
+ * - Each entry keeps the full round recording, so its score can be re-simulated
+ *   (RoundRecorder.verify) and its settings checked against the difficulty preset:
+ *   edited scores, constants or events are rejected on load and on import
+ * - Entry id = hash of the recording, so the same round imported twice
+ *   (e.g. merging several kiosks' exports) is only counted once
+ * - Endless rounds only: courses have a finish line and aren't comparable
+ */
+
+const LEADERBOARD_VERSION = 1;
+const LEADERBOARD_FORMAT = 'flappy-cheek-leaderboard';
+
+class Leaderboard {
+    constructor({ size = 10 } = {}) {
+        this.size = size;
+        this.entries = [];
+
+        // Drop anything that was edited in localStorage
+        for (const entry of Leaderboard.load()) {
+            const check = Leaderboard.verifyEntry(entry);
+            if (check.valid) {
+                this.entries.push(entry);
+            } else {
+                console.warn(`⚠️ Dropping leaderboard entry "${entry && entry.name}": ${check.reason}`);
+            }
+        }
+        this.sort();
+    }
+
+    /** Would this round make the board? */
+    qualifies(recording) {
+        if (!recording || recording.score <= 0 || recording.course) return false;
+        if (Leaderboard.constantsMismatch(recording)) return false; // Config / experiment physics
+        if (this.entries.length < this.size) return true;
+        return recording.score > this.entries[this.entries.length - 1].score;
+    }
+
+    /**
+     * Add a finished round under a player name.
+     * @returns {object|null} The entry, or null if it didn't make the board
+     */
+    add(name, recording) {
+        const entry = {
+            id: Leaderboard.entryId(recording),
+            name: Leaderboard.cleanName(name),
+            score: recording.score,
+            difficulty: recording.difficulty || null,
+            kiosk: Leaderboard.kioskId(),
+            playedAt: recording.recordedAt,
+            recording: recording
+        };
+        if (this.entries.some(e => e.id === entry.id)) return null;
+
+        this.entries.push(entry);
+        this.sort();
+        this.save();
+        return this.entries.includes(entry) ? entry : null;
+    }
+
+    // Best first; ties go to whoever got there first
+    sort() {
+        this.entries.sort((a, b) => b.score - a.score || a.playedAt.localeCompare(b.playedAt));
+        this.entries.length = Math.min(this.entries.length, this.size);
+    }
+
+    /** Board file for merging on another device. */
+    export() {
+        return {
+            format: LEADERBOARD_FORMAT,
+            version: LEADERBOARD_VERSION,
+            kiosk: Leaderboard.kioskId(),
+            exportedAt: new Date().toISOString(),
+            entries: this.entries
+        };
+    }
+
+    /**
+     * Merge another board's export into this one.
+     * @param {string|object} json - Export from Leaderboard.export()
+     * @returns {{added: number, duplicates: number, rejected: {name: string, reason: string}[]}}
+     */
+    import(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || data.format !== LEADERBOARD_FORMAT || data.version !== LEADERBOARD_VERSION ||
+            !Array.isArray(data.entries)) {
+            throw new Error('Not a Flappy Cheek leaderboard file');
+        }
+
+        const result = { added: 0, duplicates: 0, rejected: [] };
+        for (const entry of data.entries) {
+            const check = Leaderboard.verifyEntry(entry);
+            if (!check.valid) {
+                result.rejected.push({ name: String(entry && entry.name), reason: check.reason });
+            } else if (this.entries.some(e => e.id === entry.id)) {
+                result.duplicates++;
+            } else {
+                this.entries.push(entry);
+                result.added++;
+            }
+        }
+
+        this.sort();
+        this.save();
+        return result;
+    }
+
+    /**
+     * Checks an entry against its own recording.
+     * @returns {{valid: boolean, reason: string|null}}
+     */
+    static verifyEntry(entry) {
+        if (!entry || typeof entry !== 'object' || !entry.recording) {
+            return { valid: false, reason: 'Missing round data' };
+        }
+        if (typeof entry.name !== 'string' || entry.name !== Leaderboard.cleanName(entry.name)) {
+            return { valid: false, reason: 'Invalid name' };
+        }
+
+        const recording = entry.recording;
+        if (entry.id !== Leaderboard.entryId(recording)) {
+            return { valid: false, reason: 'Round data was modified' };
+        }
+        if (entry.score !== recording.score || entry.playedAt !== recording.recordedAt ||
+            (entry.difficulty || null) !== (recording.difficulty || null)) {
+            return { valid: false, reason: 'Entry does not match its round data' };
+        }
+        if (recording.course) {
+            return { valid: false, reason: 'Course rounds are not ranked' };
+        }
+
+        const mismatch = Leaderboard.constantsMismatch(recording);
+        if (mismatch) {
+            return { valid: false, reason: mismatch };
+        }
+
+        const simulation = RoundRecorder.verify(recording);
+        return simulation.valid
+            ? { valid: true, reason: null }
+            : { valid: false, reason: simulation.reason };
+    }
+
+    /**
+     * Constants must be the preset the round claims, not an easier custom set
+     * (also keeps rounds with config / A/B physics overrides off the board).
+     * @returns {string|null} Reason, or null if they match
+     */
+    static constantsMismatch(recording) {
+        const preset = DIFFICULTY_PRESETS[recording.difficulty];
+        if (!preset) return `Unknown difficulty ${recording.difficulty}`;
+        // Rounds from before layouts were landscape
+        const layout = LAYOUT_PRESETS[recording.layout || 'landscape'];
+        if (!layout) return `Unknown layout ${recording.layout}`;
+
+        if (!recording.constants) return 'Missing game constants';
+
+        // Rounds from before newer constants (HITBOX) keep the value they were played with
+        const expected = {
+            ...GAME_CONSTANTS,
+            ...GameCore.legacyConstants(recording.constants),
+            ...layout.constants,
+            ...preset.constants,
+            CONTROL_MODE: recording.constants.CONTROL_MODE
+        };
+        const played = GameCore.recordedConstants(recording.constants);
+        for (const [key, value] of Object.entries(expected)) {
+            if (played[key] !== value) {
+                return `Modified game constant ${key}`;
+            }
+        }
+        return null;
+    }
+
+    /** FNV-1a hash of the round data (not a signature - just identity + edit detection). */
+    static entryId(recording) {
+        const text = JSON.stringify([
+            recording.recordedAt, recording.seed, recording.score, recording.ticks,
+            recording.difficulty, recording.constants, recording.events
+        ]);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    static cleanName(name) {
+        const cleaned = String(name || '').replace(/\s+/g, ' ').trim().slice(0, 16);
+        return cleaned || 'Player';
+    }
+
+    /** Random id per device, so merged boards show where a score came from. */
+    static kioskId() {
+        let id = localStorage.getItem(Leaderboard.KIOSK_KEY);
+        if (!id) {
+            id = Math.random().toString(36).slice(2, 8);
+            localStorage.setItem(Leaderboard.KIOSK_KEY, id);
+        }
+        return id;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(Leaderboard.STORAGE_KEY, JSON.stringify({
+                version: LEADERBOARD_VERSION,
+                entries: this.entries
+            }));
+        } catch (error) {
+            console.warn('⚠️ Could not save leaderboard:', error);
+        }
+    }
+
+    clear() {
+        this.entries = [];
+        localStorage.removeItem(Leaderboard.STORAGE_KEY);
+    }
+
+    download() {
+        const blob = new Blob([JSON.stringify(this.export())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `flappy-cheek-leaderboard-${Leaderboard.kioskId()}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    static load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(Leaderboard.STORAGE_KEY));
+            if (stored && stored.version === LEADERBOARD_VERSION && Array.isArray(stored.entries)) {
+                return stored.entries;
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring invalid stored leaderboard:', error);
+        }
+        return [];
+    }
+}
+
+Leaderboard.STORAGE_KEY = 'flappyCheek.leaderboard';
+Leaderboard.KIOSK_KEY = 'flappyCheek.kioskId';
+
+// Export for use in game.js
+window.Leaderboard = Leaderboard;
@@ -0,0 +1,94 @@
+/**
+ * Performance Governor - Adapts face detection cost to the device
+ * - Tracks detectForVideo latency (moving average)
+ * - Steps detection rate + camera resolution down when inference eats too much
+ *   of the frame budget (Samsung A04...), and back up on fast devices
+ * - Remembers tiers that were too slow so it doesn't oscillate
+ */
+
+// Ordered cheapest → most expensive. Tier 2 is the original fixed setting.
+const DETECTION_TIERS = [
+    { fps: 8, width: 320, height: 240 },
+    { fps: 12, width: 320, height: 240 },
+    { fps: 15, width: 480, height: 360 },
+    { fps: 20, width: 480, height: 360 },
+    { fps: 30, width: 640, height: 480 }
+];
+
+class PerformanceGovernor {
+    constructor({ startTier = 2, onChange = null } = {}) {
+        this.tierIndex = startTier;
+        this.onChange = onChange; // (tier, previousTier)
+
+        this.avgLatency = null;
+        this.sampleCount = 0;
+        this.lastChangeTime = performance.now();
+        this.ceiling = DETECTION_TIERS.length - 1; // Highest tier still allowed
+
+        // Tuning
+        this.EMA_ALPHA = 0.2;
+        this.MIN_SAMPLES = 10;         // Per tier before deciding
+        this.COOLDOWN = 3000;          // ms between changes
+        this.STEP_DOWN_RATIO = 0.5;    // Latency > 50% of the detection interval
+        this.STEP_UP_RATIO = 0.2;      // Latency < 20% of the next tier's interval
+    }
+
+    get tier() {
+        return DETECTION_TIERS[this.tierIndex];
+    }
+
+    get frameInterval() {
+        return 1000 / this.tier.fps;
+    }
+
+    recordLatency(ms) {
+        this.avgLatency = this.avgLatency === null
+            ? ms
+            : this.avgLatency + (ms - this.avgLatency) * this.EMA_ALPHA;
+        this.sampleCount++;
+        this.evaluate();
+    }
+
+    evaluate() {
+        if (this.sampleCount < this.MIN_SAMPLES) return;
+        if (performance.now() - this.lastChangeTime < this.COOLDOWN) return;
+
+        if (this.avgLatency > this.frameInterval * this.STEP_DOWN_RATIO && this.tierIndex > 0) {
+            // Too slow here - never climb back to this tier
+            this.ceiling = this.tierIndex - 1;
+            this.setTier(this.tierIndex - 1);
+            return;
+        }
+
+        const next = DETECTION_TIERS[this.tierIndex + 1];
+        if (next && this.tierIndex < this.ceiling &&
+            this.avgLatency < (1000 / next.fps) * this.STEP_UP_RATIO) {
+            this.setTier(this.tierIndex + 1);
+        }
+    }
+
+    setTier(index) {
+        const previous = this.tier;
+        this.tierIndex = index;
+        this.sampleCount = 0;
+        this.lastChangeTime = performance.now();
+
+        console.log(`⚙️ Detection tier ${index}: ${this.tier.fps}fps @ ${this.tier.width}x${this.tier.height} ` +
+            `(latency ${this.avgLatency.toFixed(1)}ms)`);
+        if (this.onChange) this.onChange(this.tier, previous);
+    }
+
+    report() {
+        return {
+            tier: this.tierIndex,
+            fps: this.tier.fps,
+            width: this.tier.width,
+            height: this.tier.height,
+            latency: this.avgLatency === null ? null : Math.round(this.avgLatency * 10) / 10
+        };
+    }
+}
+
+// Export for use in face-detection.js
+window.DETECTION_TIERS = DETECTION_TIERS;
+window.PerformanceGovernor = PerformanceGovernor;
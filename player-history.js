@@ -0,0 +1,163 @@
+/**
+ * Player History - Every finished round, kept in localStorage
+ * - One compact entry per round (score, duration, flaps, intensity, face-lost time...)
+ * - stats() derives personal best, day streaks and per-day progress
+ * - Export as JSON / clear from the CTA screen stats panel
+ */
+
+const HISTORY_VERSION = 1;
+
+class PlayerHistory {
+    constructor() {
+        this.MAX_ROUNDS = 1000; // Oldest rounds are dropped beyond this
+        this.rounds = PlayerHistory.load();
+    }
+
+    /**
+     * Store a finished round.
+     * @param {object} round - score, durationMs, flaps, avgIntensity, peakIntensity, faceLostMs, ...
+     * @returns {object} The stored entry
+     */
+    addRound(round) {
+        const entry = { playedAt: new Date().toISOString(), ...round };
+        this.rounds.push(entry);
+        if (this.rounds.length > this.MAX_ROUNDS) {
+            this.rounds.splice(0, this.rounds.length - this.MAX_ROUNDS);
+        }
+        this.save();
+        return entry;
+    }
+
+    get bestScore() {
+        return this.bestRound ? this.bestRound.score : 0;
+    }
+
+    /** The first round that reached the best score (its difficulty labels the best), or null. */
+    get bestRound() {
+        return this.rounds.reduce((best, round) => (!best || round.score > best.score ? round : best), null);
+    }
+
+    /**
+     * Aggregates for the stats panel.
+     * @param {Date} [now]
+     * @param {number} [dayCount] - Days of progress to return (oldest first)
+     */
+    stats(now = new Date(), dayCount = 7) {
+        const byDay = new Map();
+        for (const round of this.rounds) {
+            const key = PlayerHistory.dayKey(new Date(round.playedAt));
+            if (!byDay.has(key)) byDay.set(key, []);
+            byDay.get(key).push(round);
+        }
+
+        const days = [];
+        for (let i = dayCount - 1; i >= 0; i--) {
+            const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - i);
+            const rounds = byDay.get(PlayerHistory.dayKey(date)) || [];
+            days.push({
+                date: PlayerHistory.dayKey(date),
+                rounds: rounds.length,
+                best: Math.max(0, ...rounds.map(r => r.score))
+            });
+        }
+
+        const withIntensity = this.rounds.filter(r => typeof r.avgIntensity === 'number');
+        return {
+            rounds: this.rounds.length,
+            bestScore: this.bestScore,
+            totalPlayMs: this.rounds.reduce((sum, r) => sum + (r.durationMs || 0), 0),
+            totalFlaps: this.rounds.reduce((sum, r) => sum + (r.flaps || 0), 0),
+            avgIntensity: withIntensity.length
+                ? withIntensity.reduce((sum, r) => sum + r.avgIntensity, 0) / withIntensity.length
+                : null,
+            ...PlayerHistory.streaks([...byDay.keys()], now),
+            days: days
+        };
+    }
+
+    /** Current and longest run of consecutive days with at least one round. */
+    static streaks(dayKeys, now) {
+        const played = new Set(dayKeys);
+        const sorted = [...played].sort();
+
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+        for (const key of sorted) {
+            run = previous && PlayerHistory.dayKey(PlayerHistory.addDays(previous, 1)) === key ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            previous = PlayerHistory.parseDay(key);
+        }
+
+        // Today not played yet doesn't break the streak until tomorrow
+        let day = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        if (!played.has(PlayerHistory.dayKey(day))) day = PlayerHistory.addDays(day, -1);
+        let current = 0;
+        while (played.has(PlayerHistory.dayKey(day))) {
+            current++;
+            day = PlayerHistory.addDays(day, -1);
+        }
+
+        return { currentStreak: current, longestStreak: longest };
+    }
+
+    /** Local calendar day, e.g. '2024-05-31'. */
+    static dayKey(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    static parseDay(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    static addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    save() {
+        try {
+            localStorage.setItem(PlayerHistory.STORAGE_KEY, JSON.stringify({
+                version: HISTORY_VERSION,
+                rounds: this.rounds
+            }));
+        } catch (error) {
+            // Quota / private mode - history stays in memory for this visit
+            console.warn('⚠️ Could not save player history:', error);
+        }
+    }
+
+    clear() {
+        this.rounds = [];
+        localStorage.removeItem(PlayerHistory.STORAGE_KEY);
+    }
+
+    download() {
+        const data = { version: HISTORY_VERSION, exportedAt: new Date().toISOString(), rounds: this.rounds };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `flappy-cheek-history-${PlayerHistory.dayKey(new Date())}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    static load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PlayerHistory.STORAGE_KEY));
+            if (stored && stored.version === HISTORY_VERSION && Array.isArray(stored.rounds)) {
+                return stored.rounds;
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring invalid stored history:', error);
+        }
+        return [];
+    }
+}
+
+PlayerHistory.STORAGE_KEY = 'flappyCheek.history';
+
+// Export for use in game.js
+window.PlayerHistory = PlayerHistory;
@@ -0,0 +1,122 @@
+/**
+ * Round Recorder - Compact JSON logs of full game rounds
+ * - Obstacle seed + game constants + tick-stamped flap/smile events + final score
+ * - Analog rounds record intensity changes instead (already quantized by GameCore)
+ * - GameCore is deterministic per tick, so replaying the flap events
+ *   reproduces the round exactly (same pipes, same crash, same score)
+ * - verify() re-simulates a recording headlessly to check its score (leaderboard)
+ */
+
+const RECORDING_VERSION = 1;
+
+class RoundRecorder {
+    constructor(core) {
+        this.core = core;
+        this.recording = null;
+    }
+
+    start(meta = {}) {
+        this.lastIntensity = null;
+        this.recording = {
+            version: RECORDING_VERSION,
+            recordedAt: new Date().toISOString(),
+            seed: this.core.seed,
+            constants: this.core.getConstants(),
+            ...meta,
+            // Events: t = simulation tick (t * SIM_STEP_MS = ms since round start)
+            events: [],
+            score: null,
+            ticks: null
+        };
+    }
+
+    /** Every flap request, including ones rejected by MIN_FLAP_INTERVAL. */
+    recordFlap(accepted) {
+        if (!this.recording) return;
+        this.recording.events.push({ t: this.core.tick, type: 'flap', ok: accepted });
+    }
+
+    /** Smile hysteresis transitions with the smoothed score that caused them. */
+    recordSmile(isSmiling, score) {
+        if (!this.recording) return;
+        this.recording.events.push({
+            t: this.core.tick,
+            type: 'smile',
+            on: isSmiling,
+            v: Math.round(score * 1000) / 1000
+        });
+    }
+
+    /** Analog intensity changes (only when the quantized value actually changes). */
+    recordIntensity(intensity, active) {
+        if (!this.recording) return;
+        if (this.lastIntensity === intensity) return;
+        this.lastIntensity = intensity;
+        this.recording.events.push({ t: this.core.tick, type: 'intensity', v: intensity, on: active });
+    }
+
+    finish() {
+        if (!this.recording) return null;
+        this.recording.score = this.core.score;
+        this.recording.ticks = this.core.tick;
+
+        const recording = this.recording;
+        this.recording = null;
+        return recording;
+    }
+
+    static parse(json) {
+        const recording = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!recording || recording.version !== RECORDING_VERSION || !Array.isArray(recording.events)) {
+            throw new Error('Unsupported recording format');
+        }
+        return recording;
+    }
+
+    /**
+     * Re-simulate a recording with GameCore and check the stored score.
+     * Same input mapping as ScriptedInputProvider.fromRecording().
+     * @returns {{valid: boolean, score: number, reason: string|null}}
+     */
+    static verify(recording) {
+        try {
+            recording = RoundRecorder.parse(recording);
+        } catch (error) {
+            return { valid: false, score: null, reason: error.message };
+        }
+        if (!Number.isInteger(recording.score) || !Number.isInteger(recording.ticks)) {
+            return { valid: false, score: null, reason: 'Recording is unfinished' };
+        }
+
+        const result = GameCore.simulate({
+            seed: recording.seed,
+            flaps: recording.events.filter(e => e.type === 'flap').map(e => e.t),
+            intensities: recording.events.filter(e => e.type !== 'flap').map(e => ({ t: e.t, v: e.v })),
+            constants: GameCore.recordedConstants(recording.constants),
+            course: recording.course || null,
+            maxTicks: recording.ticks
+        });
+
+        if (!result.gameOver || result.score !== recording.score || result.ticks !== recording.ticks) {
+            return {
+                valid: false,
+                score: result.score,
+                reason: `Re-simulated score ${result.score} (tick ${result.ticks}) does not match ${recording.score}`
+            };
+        }
+        return { valid: true, score: result.score, reason: null };
+    }
+
+    static download(recording) {
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `flappy-cheek-${recording.seed}-${recording.score}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export for use in game.js
+window.RoundRecorder = RoundRecorder;
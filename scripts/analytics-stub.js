@@ -0,0 +1,52 @@
+/**
+ * Local analytics endpoint for testing the beacon sink (analytics.js)
+ * Prints every event it receives; no dependencies.
+ *
+ *   node scripts/analytics-stub.js [port]          # default 8787
+ *   config.json: { "config": { "beaconUrl": "http://localhost:8787/events" } }
+ *   (analytics settings are not read from the URL)
+ *
+ * Accept the consent banner, play a round and watch the events arrive.
+ */
+
+const http = require('http');
+
+const port = Number(process.argv[2]) || 8787;
+let received = 0;
+
+const server = http.createServer((request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204);
+        response.end();
+        return;
+    }
+    if (request.method !== 'POST') {
+        response.writeHead(405);
+        response.end();
+        return;
+    }
+
+    let body = '';
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', () => {
+        try {
+            const { events } = JSON.parse(body);
+            for (const event of events) {
+                received++;
+                console.log(`📊 #${received} ${event.time} ${event.name}`, JSON.stringify(event.params));
+            }
+            response.writeHead(204);
+        } catch (error) {
+            console.warn('⚠️ Invalid payload:', error.message);
+            response.writeHead(400);
+        }
+        response.end();
+    });
+});
+
+server.listen(port, () => {
+    console.log(`📡 Analytics stub listening on http://localhost:${port}/events`);
+});
@@ -0,0 +1,27 @@
+#!/usr/bin/env bash
+# Download MediaPipe Face Landmarker files for self-hosting.
+# FaceDetector tries these local copies before the CDNs (FaceDetector.ASSET_SOURCES),
+# and sw.js precaches them, so the game runs on restricted networks and offline.
+# Keep VERSION in sync with FaceDetector.MEDIAPIPE_CDN.
+set -euo pipefail
+
+VERSION="0.10.8"
+CDN="https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${VERSION}"
+MODEL="https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task"
+
+cd "$(dirname "$0")/.."
+mkdir -p vendor/mediapipe/wasm models
+
+echo "📦 MediaPipe tasks-vision ${VERSION}"
+curl -fsSL "${CDN}/vision_bundle.mjs" -o vendor/mediapipe/vision_bundle.mjs
+# CommonJS build for face-worker.js (classic worker, importScripts)
+curl -fsSL "${CDN}/vision_bundle.cjs" -o vendor/mediapipe/vision_bundle.cjs
+for file in vision_wasm_internal.js vision_wasm_internal.wasm \
+            vision_wasm_nosimd_internal.js vision_wasm_nosimd_internal.wasm; do
+    curl -fsSL "${CDN}/wasm/${file}" -o "vendor/mediapipe/wasm/${file}"
+done
+
+echo "🧠 Face landmarker model"
+curl -fsSL "${MODEL}" -o models/face_landmarker.task
+
+echo "✅ Done - commit vendor/ and models/ or deploy them next to index.html"
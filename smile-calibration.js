@@ -0,0 +1,130 @@
+/**
+ * Smile Calibration - Personal hysteresis thresholds
+ * Samples the user's neutral face and full smile (or the active gesture), then
+ * places the trigger/reset thresholds between the two instead of the fixed 0.6 / 0.4.
+ * Result is stored in localStorage per gesture and reused on the next visit.
+ */
+
+class SmileCalibrator {
+    constructor(detector) {
+        this.detector = detector;
+        this.cancelled = false;
+
+        // Timing & derivation settings
+        this.PHASE_DURATION = 2500; // ms per phase
+        this.SETTLE_TIME = 500;     // ms ignored at phase start (user reacting)
+        this.MIN_RANGE = 0.1;       // neutral→smile difference needed to trust the result
+        this.TRIGGER_RATIO = 0.6;   // Trigger at 60% of the way from neutral to smile
+        this.RESET_RATIO = 0.35;    // Reset at 35%
+    }
+
+    /**
+     * Run both phases.
+     * @param {object} callbacks
+     * @param {(phase: 'neutral'|'smile') => void} [callbacks.onPhase]
+     * @param {(progress: number) => void} [callbacks.onProgress] - 0-1 within a phase
+     * @returns {Promise<object|null>} Calibration, or null if cancelled
+     */
+    async run({ onPhase, onProgress } = {}) {
+        this.cancelled = false;
+
+        const neutralSamples = await this.samplePhase('neutral', onPhase, onProgress);
+        if (this.cancelled) return null;
+        const smileSamples = await this.samplePhase('smile', onPhase, onProgress);
+        if (this.cancelled) return null;
+
+        return SmileCalibrator.derive(neutralSamples, smileSamples, this);
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    samplePhase(phase, onPhase, onProgress) {
+        if (onPhase) onPhase(phase);
+
+        return new Promise((resolve) => {
+            const samples = [];
+            const startTime = performance.now();
+
+            this.detector.onRawScore = (score) => {
+                if (performance.now() - startTime >= this.SETTLE_TIME) {
+                    samples.push(score);
+                }
+            };
+
+            const tick = () => {
+                const progress = (performance.now() - startTime) / this.PHASE_DURATION;
+                if (onProgress) onProgress(Math.min(progress, 1));
+
+                if (progress >= 1 || this.cancelled) {
+                    this.detector.onRawScore = null;
+                    resolve(samples);
+                } else {
+                    requestAnimationFrame(tick);
+                }
+            };
+            requestAnimationFrame(tick);
+        });
+    }
+
+    static derive(neutralSamples, smileSamples, settings) {
+        if (neutralSamples.length === 0 || smileSamples.length === 0) {
+            throw new Error('No face detected during calibration');
+        }
+
+        // Median neutral (robust to blinks/twitches), strong-end of the smile
+        const neutral = SmileCalibrator.percentile(neutralSamples, 0.5);
+        const smile = SmileCalibrator.percentile(smileSamples, 0.8);
+        const range = smile - neutral;
+
+        if (range < settings.MIN_RANGE) {
+            throw new Error('Smile was too close to neutral face');
+        }
+
+        const round = (value) => Math.round(value * 1000) / 1000;
+        return {
+            triggerThreshold: round(neutral + range * settings.TRIGGER_RATIO),
+            resetThreshold: round(neutral + range * settings.RESET_RATIO),
+            neutral: round(neutral),
+            smile: round(smile),
+            calibratedAt: new Date().toISOString()
+        };
+    }
+
+    static percentile(values, p) {
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    }
+
+    static storageKey(gestureId = 'smile') {
+        return gestureId === 'smile'
+            ? SmileCalibrator.STORAGE_KEY
+            : `${SmileCalibrator.STORAGE_KEY}.${gestureId}`;
+    }
+
+    static load(gestureId) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SmileCalibrator.storageKey(gestureId)));
+            if (stored && stored.triggerThreshold > stored.resetThreshold) {
+                return stored;
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring invalid stored calibration:', error);
+        }
+        return null;
+    }
+
+    static save(calibration, gestureId) {
+        localStorage.setItem(SmileCalibrator.storageKey(gestureId), JSON.stringify(calibration));
+    }
+
+    static clear(gestureId) {
+        localStorage.removeItem(SmileCalibrator.storageKey(gestureId));
+    }
+}
+
+SmileCalibrator.STORAGE_KEY = 'flappyCheek.calibration';
+
+// Export for use in game.js
+window.SmileCalibrator = SmileCalibrator;
@@ -0,0 +1,160 @@
+/**
+ * Service Worker - Offline play & PWA install
+ * - Precaches the app shell and assets/ media on install
+ * - Cache-first for scripts, media and MediaPipe files (self-hosted or CDN),
+ *   so after one online visit the whole game, model included, works offline
+ * - Serves byte ranges from cache (Safari requests videos in ranges)
+ * Bump CACHE_VERSION whenever APP_SHELL files change.
+ */
+
+const CACHE_VERSION = 'v14';
+const CACHE_NAME = `flappy-cheek-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'input-providers.js',
+    'gestures.js',
+    'performance-governor.js',
+    'face-detection.js',
+    'face-worker.js',
+    'smile-calibration.js',
+    'exercise-session.js',
+    'game-core.js',
+    'config.js',
+    'config.json',
+    'analytics.js',
+    'audio-manager.js',
+    'course.js',
+    'round-recorder.js',
+    'player-history.js',
+    'leaderboard.js',
+    'diagnostics.js',
+    'camera-preview.js',
+    'game.js',
+    'courses/tutorial.json',
+    'courses/warmup.json',
+    'assets/bgm.mp3',
+    'assets/features.mp4',
+    'assets/features_poster.jpg',
+    'assets/fish_no_BG.png',
+    'assets/hit.mp3',
+    'assets/jump.mp3',
+    'assets/ocean_image_with_alpha.png',
+    'assets/score.mp3',
+    'assets/tutorial.mp4',
+    'assets/tutorial_poster.jpg'
+];
+
+// Same-origin files that must be fresh when online (config can change without a new SW)
+const NETWORK_FIRST = ['config.json'];
+
+// Self-hosted MediaPipe files (scripts/fetch-mediapipe.sh) - cached when present
+const OPTIONAL_ASSETS = [
+    'vendor/mediapipe/vision_bundle.mjs',
+    'vendor/mediapipe/vision_bundle.cjs',
+    'vendor/mediapipe/wasm/vision_wasm_internal.js',
+    'vendor/mediapipe/wasm/vision_wasm_internal.wasm',
+    // Loaded instead of the two above by browsers without WASM SIMD
+    'vendor/mediapipe/wasm/vision_wasm_nosimd_internal.js',
+    'vendor/mediapipe/wasm/vision_wasm_nosimd_internal.wasm',
+    'models/face_landmarker.task'
+];
+
+// Third-party hosts worth caching (MediaPipe CDN + model bucket). Analytics is never cached.
+const CACHEABLE_HOSTS = ['cdn.jsdelivr.net', 'storage.googleapis.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+        await Promise.all(OPTIONAL_ASSETS.map((url) => cache.add(url).catch(() => { })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter((key) => key.startsWith('flappy-cheek-') && key !== CACHE_NAME)
+            .map((key) => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' && request.method !== 'HEAD') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    if (!sameOrigin && !CACHEABLE_HOSTS.includes(url.hostname)) return;
+
+    if (request.mode === 'navigate' || (sameOrigin && NETWORK_FIRST.includes(url.pathname.split('/').pop()))) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// Pages & config: fresh when online (and kept for offline), cached copy when offline
+// (query string ignored: ?replay= etc.)
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok && request.method === 'GET') {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true })) || cache.match('index.html');
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+
+    // ignoreMethod: FaceDetector probes WASM availability with HEAD requests
+    const cached = await cache.match(request.url, { ignoreMethod: true });
+    if (cached) {
+        if (request.method === 'HEAD') {
+            return new Response(null, { status: cached.status, headers: cached.headers });
+        }
+        return request.headers.has('range') ? rangeResponse(request, cached) : cached;
+    }
+
+    if (request.method === 'HEAD') {
+        return fetch(request);
+    }
+
+    // Always fetch the full file (a 206 can't be cached), then slice if needed
+    const response = await fetch(request.url, { mode: request.mode, credentials: request.credentials });
+    if (response.ok) {
+        await cache.put(request.url, response.clone());
+    }
+    return request.headers.has('range') && response.ok ? rangeResponse(request, response) : response;
+}
+
+async function rangeResponse(request, response) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range'));
+    if (!match) return response;
+
+    const buffer = await response.arrayBuffer();
+    const size = buffer.byteLength;
+    const start = match[1] ? Number(match[1]) : Math.max(size - Number(match[2]), 0);
+    const end = match[1] && match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+
+    return new Response(buffer.slice(start, end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers: {
+            'Content-Type': response.headers.get('Content-Type') || 'application/octet-stream',
+            'Content-Range': `bytes ${start}-${end}/${size}`,
+            'Content-Length': String(end - start + 1)
+        }
+    });
+}